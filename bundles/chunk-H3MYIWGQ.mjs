@@ -5831,10 +5831,14 @@ function buildLogLevelFunction(loadCommand, level, defaultColor) {
 }
 function runConsoleCommand(loadCommand, logLevel, ...text) {
   if (getLogLevel() >= logLevel) {
-    loadCommand()(...text);
+    (logOutputToStderr ? console.error : loadCommand())(...text);
   }
   appendToLogFile(logLevel, ...text);
 }
+var logOutputToStderr = false;
+function redirectLogOutputToStderr() {
+  logOutputToStderr = true;
+}
 function getLogLevel() {
   const logLevel = Object.keys(LogLevel).indexOf((process.env[`LOG_LEVEL`] || "").toUpperCase());
   if (logLevel === -1) {
@@ -6032,6 +6036,7 @@ export {
   blue,
   underline,
   Log,
+  redirectLogOutputToStderr,
   captureLogOutputForCommand,
   setConfig,
   getConfig,
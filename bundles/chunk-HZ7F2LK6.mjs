@@ -24576,13 +24576,109 @@ function assertValidFormatConfig(config) {
 }
 
 // ng-dev/pr/config/index.js
+var builtInMergeStrategies = ["rebase-fast-forward"];
 function assertValidPullRequestConfig(config) {
   const errors = [];
   if (config.pullRequest === void 0) {
     throw new ConfigValidationError("No pullRequest configuration found. Set the `pullRequest` configuration.");
   }
-  if (config.pullRequest.githubApiMerge === void 0) {
-    errors.push("No explicit choice of merge strategy. Please set `githubApiMerge`.");
+  const { githubApiMerge, mergeStrategy } = config.pullRequest;
+  if (githubApiMerge === void 0 && mergeStrategy === void 0) {
+    errors.push("No explicit choice of merge strategy. Please set `githubApiMerge` or `mergeStrategy`.");
+  }
+  if (typeof mergeStrategy === "function" && !(mergeStrategy.prototype instanceof MergeStrategy)) {
+    errors.push("The configured `mergeStrategy` class does not extend `MergeStrategy`.");
+  } else if (mergeStrategy !== void 0 && typeof mergeStrategy !== "function" && !builtInMergeStrategies.includes(mergeStrategy)) {
+    errors.push(`Unknown \`mergeStrategy\`: "${mergeStrategy}". Expected a class extending \`MergeStrategy\` or one of: ${builtInMergeStrategies.join(", ")}.`);
+  }
+  const { requiredStatuses, mergeCommitTrailers, parallelCherryPicks } = config.pullRequest;
+  const requiredStatusLists = requiredStatuses === void 0 ? [] : Array.isArray(requiredStatuses) ? [requiredStatuses] : Object.values(requiredStatuses);
+  for (const statusList of requiredStatusLists) {
+    if (!Array.isArray(statusList) || statusList.some(({ name }) => typeof name !== "string" && !(name instanceof RegExp))) {
+      errors.push("`requiredStatuses` must be a list of statuses, or a map of target branch patterns to lists of statuses, with string or RegExp names.");
+      break;
+    }
+  }
+  if (mergeCommitTrailers !== void 0 && (!Array.isArray(mergeCommitTrailers) || mergeCommitTrailers.some((t) => typeof t !== "string"))) {
+    errors.push("`mergeCommitTrailers` must be a list of trailer templates.");
+  }
+  if (parallelCherryPicks !== void 0 && typeof parallelCherryPicks !== "boolean") {
+    errors.push("`parallelCherryPicks` must be a boolean.");
+  }
+  const { postMerge } = config.pullRequest;
+  if (postMerge !== void 0) {
+    for (const key of ["removeLabels", "addLabels"]) {
+      if (postMerge[key] !== void 0 && (!Array.isArray(postMerge[key]) || postMerge[key].some((label) => typeof label !== "string"))) {
+        errors.push(`\`postMerge.${key}\` must be a list of label names.`);
+      }
+    }
+    if (postMerge.comment !== void 0 && typeof postMerge.comment !== "string") {
+      errors.push("`postMerge.comment` must be a comment template string.");
+    }
+    if (postMerge.dispatchWorkflow !== void 0 && typeof postMerge.dispatchWorkflow.workflow !== "string") {
+      errors.push("`postMerge.dispatchWorkflow` must specify the `workflow` to dispatch.");
+    }
+    if (postMerge.run !== void 0 && typeof postMerge.run !== "function") {
+      errors.push("`postMerge.run` must be a function.");
+    }
+  }
+  for (const rule of config.pullRequest.validators?.minimumReviewRules ?? []) {
+    const minimum = rule.minimum ?? 1;
+    if (!Number.isInteger(minimum) || minimum < 1) {
+      errors.push("Minimum review rules must require at least one approval.");
+    }
+  }
+  for (const freezeWindow of config.pullRequest.freezeWindows ?? []) {
+    const { name, branches, start, end } = freezeWindow;
+    if (typeof name !== "string" || !Array.isArray(branches) || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+      errors.push("Freeze windows must specify a `name`, a list of `branches` patterns and valid `start` and `end` dates.");
+    }
+  }
+  const { featureFreezeRestrictedPaths } = config.pullRequest;
+  if (featureFreezeRestrictedPaths !== void 0 && (!Array.isArray(featureFreezeRestrictedPaths) || featureFreezeRestrictedPaths.some((pattern) => typeof pattern !== "string"))) {
+    errors.push("`featureFreezeRestrictedPaths` must be a list of file glob patterns.");
+  }
+  const { sizeLimits } = config.pullRequest;
+  if (sizeLimits !== void 0) {
+    for (const limits of [sizeLimits, ...Object.values(sizeLimits.targetLabels ?? {})]) {
+      for (const key of ["maxFiles", "maxLines", "maxCommits"]) {
+        if (limits[key] !== void 0 && (!Number.isInteger(limits[key]) || limits[key] < 0)) {
+          errors.push(`\`sizeLimits.${key}\` must be a non-negative integer.`);
+        }
+      }
+    }
+    if (sizeLimits.excludedPaths !== void 0 && (!Array.isArray(sizeLimits.excludedPaths) || sizeLimits.excludedPaths.some((pattern) => typeof pattern !== "string"))) {
+      errors.push("`sizeLimits.excludedPaths` must be a list of file glob patterns.");
+    }
+  }
+  const { labels } = config.pullRequest;
+  if (labels !== void 0) {
+    for (const [key, params2] of Object.entries(labels.additional ?? {})) {
+      if (typeof params2?.name !== "string" || typeof params2.description !== "string") {
+        errors.push(`Label "${key}" must specify a \`name\` and a \`description\`.`);
+      }
+    }
+    if (labels.disabled !== void 0 && (!Array.isArray(labels.disabled) || labels.disabled.some((key) => typeof key !== "string"))) {
+      errors.push("`labels.disabled` must be a list of label keys, e.g. `PRIORITY_P0`.");
+    } else if (labels.disabled?.includes("ACTION_MERGE")) {
+      errors.push("`labels.disabled` cannot contain `ACTION_MERGE` as the label is required to merge pull requests.");
+    }
+  }
+  const builtInTargetLabelNames = Object.values(targetLabels).map(({ name }) => name);
+  for (const targetLabelConfig of config.pullRequest.targetLabels ?? []) {
+    const { label, branches } = targetLabelConfig ?? {};
+    if (label?.__hasTargetLabelMarker__ !== true || typeof branches !== "function" && !Array.isArray(branches)) {
+      errors.push("Target label configs must specify a `TargetLabel` and the `branches` it targets.");
+    } else if (builtInTargetLabelNames.includes(label.name)) {
+      errors.push(`Target label "${label.name}" conflicts with a built-in target label.`);
+    }
+  }
+  for (const customValidation of config.pullRequest.customValidations ?? []) {
+    if (typeof customValidation?.run !== "function" || typeof customValidation.name !== "string") {
+      errors.push("Custom pull request validations must be created with `createPullRequestValidation`.");
+    } else if (!customValidation.name.startsWith("assert")) {
+      errors.push(`Custom pull request validation "${customValidation.name}" must have a name starting with "assert".`);
+    }
   }
   if (errors.length) {
     throw new ConfigValidationError("Invalid `pullRequest` configuration", errors);
@@ -24859,6 +24955,25 @@ var allLabels = {
   ...requiresLabels,
   ...miscLabels
 };
+function getLabelRegistry({ github, pullRequest }) {
+  const { additional = {}, disabled = [] } = pullRequest?.labels ?? {};
+  const registry = {};
+  for (const [key, label] of Object.entries(allLabels)) {
+    if (key === "ACTION_MERGE" || !disabled.includes(key)) {
+      registry[key] = label;
+    }
+  }
+  for (const [key, params2] of Object.entries(additional)) {
+    const commitCheck = params2.commitCheck ?? allLabels[key]?.commitCheck;
+    registry[key] = commitCheck !== void 0 ? new ManagedLabel({ repositories: [github.name], ...params2, commitCheck }) : new Label({ repositories: [github.name], ...params2 });
+  }
+  for (const { label } of pullRequest?.targetLabels ?? []) {
+    if (!Object.values(registry).some(({ name }) => name === label.name)) {
+      registry[label.name] = label;
+    }
+  }
+  return registry;
+}
 
 // ng-dev/release/precheck/index.js
 import { debug } from "console";
@@ -27839,6 +27954,555 @@ async function readFileGracefully(filePath) {
   }
 }
 
+// ng-dev/pr/merge/failures.js
+var FatalMergeToolError = class extends Error {
+  constructor(message) {
+    super(message);
+  }
+};
+var UserAbortedMergeToolError = class extends FatalMergeToolError {
+  constructor() {
+    super("Tool exited due to user aborting merge attempt.");
+  }
+};
+var MismatchedTargetBranchFatalError = class extends FatalMergeToolError {
+  constructor(allowedBranches) {
+    super(`Pull request is set to wrong base branch. Please update the PR in the Github UI to one of the following branches: ${allowedBranches.join(", ")}.`);
+  }
+};
+var UnsatisfiedBaseShaFatalError = class extends FatalMergeToolError {
+  constructor() {
+    super(`Pull request has not been rebased recently and could be bypassing CI checks. Please rebase the PR.`);
+  }
+};
+var MergeConflictsFatalError = class extends FatalMergeToolError {
+  constructor(failedBranches) {
+    super(`Cannot not merge pull request into the following branches due to merge conflicts: ${failedBranches.join(", ")}. Please rebase the PR or update the target label.`);
+    this.failedBranches = failedBranches;
+  }
+};
+var PullRequestValidationError = class extends FatalMergeToolError {
+  constructor() {
+    super("Tool exited as at least one pull request validation error was discovered.");
+  }
+};
+var StaleMergeJournalFatalError = class extends FatalMergeToolError {
+  constructor(reason) {
+    super(`Unable to safely resume the interrupted merge. ${reason} Please inspect the target branches manually.`);
+  }
+};
+var MismatchedPullRequestHeadShaFatalError = class extends FatalMergeToolError {
+  constructor(expectedSha, actualSha) {
+    super(`Pull request head commit changed after it was validated. The pull request was validated at ${expectedSha}, but its head is now ${actualSha}. Merging would land commits that were never reviewed or checked. Please re-run the merge so the new head is validated.`);
+  }
+};
+var NonInteractiveMergeToolError = class extends FatalMergeToolError {
+  constructor(reason) {
+    super(`${reason} This needs to be confirmed through a prompt, but prompts are disabled for this merge.`);
+  }
+};
+
+// ng-dev/pr/merge/merge-journal.js
+import { existsSync, mkdirSync, readFileSync as readFileSync2, unlinkSync, writeFileSync as writeFileSync2 } from "node:fs";
+import { dirname, join } from "node:path";
+var MergeJournal = class _MergeJournal {
+  constructor(filePath, data) {
+    this.filePath = filePath;
+    this.data = data;
+  }
+  get prNumber() {
+    return this.data.prNumber;
+  }
+  get headSha() {
+    return this.data.headSha;
+  }
+  get targetBranches() {
+    return this.data.targetBranches;
+  }
+  get sourceRange() {
+    return this.data.sourceRange;
+  }
+  get branches() {
+    return this.data.branches;
+  }
+  get pushedBranches() {
+    return this.data.pushedBranches;
+  }
+  recordSourceRange(sourceRange) {
+    if (this.data.sourceRange !== null) {
+      return;
+    }
+    this.data.sourceRange = sourceRange;
+    this.save();
+  }
+  recordCherryPick(branchName, baseSha, headSha) {
+    this.data.branches[branchName] = { baseSha, headSha, status: "picked" };
+    this.save();
+  }
+  recordPushAttempt(branchNames) {
+    this._setStatus(branchNames, "pushing");
+  }
+  recordPushed(branchNames) {
+    for (const branchName of branchNames) {
+      const entry = this.data.branches[branchName];
+      if (entry?.status === "picked" || entry?.status === "pushing") {
+        this.data.pushedBranches[branchName] = { baseSha: entry.baseSha, headSha: entry.headSha };
+        delete this.data.branches[branchName];
+      }
+    }
+    this.save();
+  }
+  getPushedBranches() {
+    return this.data.targetBranches.filter((b) => this.pushedBranches[b] !== void 0);
+  }
+  getUnpushedBranches() {
+    return this.data.targetBranches.filter((b) => this.branches[b] !== void 0);
+  }
+  isPartiallyPushed() {
+    const remaining = Object.values(this.branches);
+    return remaining.length > 0 && (this.getPushedBranches().length > 0 || remaining.some((entry) => entry.status === "pushing"));
+  }
+  save() {
+    mkdirSync(dirname(this.filePath), { recursive: true });
+    writeFileSync2(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+  delete() {
+    if (existsSync(this.filePath)) {
+      unlinkSync(this.filePath);
+    }
+  }
+  _setStatus(branchNames, status) {
+    for (const branchName of branchNames) {
+      if (this.data.branches[branchName] !== void 0) {
+        this.data.branches[branchName].status = status;
+      }
+    }
+    this.save();
+  }
+  static start(git, { prNumber, headSha, targetBranches }) {
+    const journal = new _MergeJournal(_MergeJournal.getFilePath(git), {
+      prNumber,
+      headSha,
+      targetBranches,
+      startedAt: (/* @__PURE__ */ new Date()).toISOString(),
+      sourceRange: null,
+      branches: Object.fromEntries(targetBranches.map((branchName) => [branchName, { status: "pending" }])),
+      pushedBranches: {}
+    });
+    journal.save();
+    return journal;
+  }
+  static load(git) {
+    const filePath = _MergeJournal.getFilePath(git);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+    return new _MergeJournal(filePath, JSON.parse(readFileSync2(filePath, "utf8")));
+  }
+  static getFilePath(git) {
+    const gitDir = git.run(["rev-parse", "--path-format=absolute", "--git-common-dir"]).stdout.trim();
+    return join(gitDir, "ng-dev", "merge-journal.json");
+  }
+};
+
+// ng-dev/pr/merge/merge-history.js
+import { appendFileSync, existsSync as existsSync2, lstatSync, readFileSync as readFileSync3 } from "node:fs";
+import { join as join2 } from "node:path";
+var MergeHistory = class _MergeHistory {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+  append(record) {
+    if (existsSync2(this.filePath) && lstatSync(this.filePath).isSymbolicLink()) {
+      throw new Error("Security Violation: .ng-dev.merge-history.jsonl is a symbolic link. To prevent arbitrary file write, the merge is not recorded.");
+    }
+    appendFileSync(this.filePath, `${JSON.stringify(record)}
+`);
+  }
+  getRecords() {
+    if (!existsSync2(this.filePath)) {
+      return [];
+    }
+    return readFileSync3(this.filePath, "utf8").split("\n").filter((line) => line.trim() !== "").map((line) => JSON.parse(line));
+  }
+  static open(git) {
+    return new _MergeHistory(_MergeHistory.getFilePath(git));
+  }
+  static getFilePath(git) {
+    return join2(git.baseDir, ".ng-dev.merge-history.jsonl");
+  }
+};
+
+// ng-dev/pr/merge/commit-message-trailers.js
+var MERGE_COMMIT_TRAILERS_ENV_VAR = "NG_DEV_MERGE_COMMIT_TRAILERS";
+function expandMergeCommitTrailers(templates, { prNumber, prUrl, targetLabel, reviewers, coAuthors }) {
+  const values = { prNumber: `${prNumber}`, prUrl, targetLabel };
+  const replaceValues = (template) => template.replace(/\{(prNumber|prUrl|targetLabel)\}/g, (_, key) => values[key]);
+  return templates.flatMap((template) => {
+    if (template.includes("{reviewer}")) {
+      return reviewers.map((reviewer) => ({ value: replaceValues(template.replace("{reviewer}", reviewer)) }));
+    }
+    if (template.includes("{coAuthor}")) {
+      return coAuthors.map((author) => ({ value: replaceValues(template.replace("{coAuthor}", author)), author }));
+    }
+    return [{ value: replaceValues(template) }];
+  });
+}
+
+// ng-dev/pr/merge/strategies/strategy.js
+import { mkdtempSync as mkdtempSync2, rmSync as rmSync2 } from "node:fs";
+import { tmpdir } from "node:os";
+import { join as join3 } from "node:path";
+var TEMP_PR_HEAD_BRANCH = "merge_pr_head";
+var MergeStrategy = class {
+  constructor(git) {
+    this.git = git;
+    this.journal = null;
+    this.closedIssues = [];
+    this.mergeCommitTrailers = null;
+    this.parallelCherryPicks = false;
+    this.interactive = true;
+  }
+  async prepare(pullRequest) {
+    this.fetchTargetBranches(pullRequest.targetBranches, `pull/${pullRequest.prNumber}/head:${TEMP_PR_HEAD_BRANCH}`);
+    const fetchedHeadSha = this.git.run(["rev-parse", TEMP_PR_HEAD_BRANCH]).stdout.trim();
+    if (fetchedHeadSha !== pullRequest.headSha) {
+      throw new MismatchedPullRequestHeadShaFatalError(pullRequest.headSha, fetchedHeadSha);
+    }
+    if (pullRequest.stackParentBranch !== null) {
+      await this.rebaseOntoTargetBranch(pullRequest);
+    }
+  }
+  async rebaseOntoTargetBranch(pullRequest) {
+    const { githubTargetBranch, baseSha } = pullRequest;
+    const targetSha = this.git.run(["rev-parse", this.getLocalTargetBranchName(githubTargetBranch)]).stdout.trim();
+    await this.runInWorktree(TEMP_PR_HEAD_BRANCH, (worktreePath) => {
+      const rebaseResult = this.git.runGraceful(["rebase", "--onto", targetSha, baseSha], { cwd: worktreePath });
+      if (rebaseResult.status !== 0) {
+        this.git.runGraceful(["rebase", "--abort"], { cwd: worktreePath });
+        throw new MergeConflictsFatalError([githubTargetBranch]);
+      }
+    });
+    pullRequest.baseSha = targetSha;
+    pullRequest.revisionRange = `${targetSha}..${TEMP_PR_HEAD_BRANCH}`;
+  }
+  async check(pullRequest) {
+    const { githubTargetBranch, targetBranches, requiredBaseSha } = pullRequest;
+    if (targetBranches.every((t) => t !== githubTargetBranch)) {
+      throw new MismatchedTargetBranchFatalError(targetBranches);
+    }
+    if (requiredBaseSha && !this.git.hasCommit(TEMP_PR_HEAD_BRANCH, requiredBaseSha)) {
+      throw new UnsatisfiedBaseShaFatalError();
+    }
+    await this._assertMergeableOrThrow(pullRequest, targetBranches);
+  }
+  async cleanup(pullRequest) {
+    this.git.runGraceful(["worktree", "prune"]);
+    pullRequest.targetBranches.forEach((branchName) => this.git.run(["branch", "-D", this.getLocalTargetBranchName(branchName)]));
+    this.git.run(["branch", "-D", TEMP_PR_HEAD_BRANCH]);
+  }
+  cleanupTargetBranches(names) {
+    this.git.runGraceful(["worktree", "prune"]);
+    names.forEach((branchName) => this.git.runGraceful(["branch", "-D", this.getLocalTargetBranchName(branchName)]));
+  }
+  getLocalTargetBranchName(targetBranch) {
+    return `merge_pr_target_${targetBranch.replace(/\//g, "_")}`;
+  }
+  async runInWorktree(branchName, callback) {
+    const worktreePath = mkdtempSync2(join3(tmpdir(), "ng-dev-merge-"));
+    try {
+      this.git.run(["worktree", "add", "-q", worktreePath, branchName]);
+      return await callback(worktreePath);
+    } finally {
+      this.git.runGraceful(["worktree", "remove", "--force", worktreePath]);
+      rmSync2(worktreePath, { recursive: true, force: true });
+    }
+  }
+  runInWorktreeSync(branchName, callback) {
+    const worktreePath = mkdtempSync2(join3(tmpdir(), "ng-dev-merge-"));
+    try {
+      this.git.run(["worktree", "add", "-q", worktreePath, branchName]);
+      return callback(worktreePath);
+    } finally {
+      this.git.runGraceful(["worktree", "remove", "--force", worktreePath]);
+      rmSync2(worktreePath, { recursive: true, force: true });
+    }
+  }
+  cherryPickIntoTargetBranches(revisionRange, targetBranches, options = {}) {
+    const { cherryPickArgs, revisionCount } = this.getCherryPickArgs(revisionRange, options);
+    this.recordCherryPickSourceRange(revisionRange, options);
+    return targetBranches.filter((branchName) => !this.runInWorktreeSync(this.getLocalTargetBranchName(branchName), (worktreePath) => {
+      const baseSha = this.git.run(["rev-parse", "HEAD"], { cwd: worktreePath }).stdout.trim();
+      const cherryPickResult = this.git.runGraceful(["cherry-pick", ...cherryPickArgs], { cwd: worktreePath });
+      if (cherryPickResult.status !== 0) {
+        this.git.runGraceful(["cherry-pick", "--abort"], { cwd: worktreePath });
+        return false;
+      }
+      if (options.dryRun) {
+        this.git.run(["reset", "--hard", `HEAD~${revisionCount}`], { cwd: worktreePath });
+      } else if (this.journal !== null) {
+        this.journal.recordCherryPick(branchName, baseSha, this.git.run(["rev-parse", "HEAD"], { cwd: worktreePath }).stdout.trim());
+      }
+      return true;
+    }));
+  }
+  async cherryPickIntoTargetBranchesInWorktrees(revisionRange, targetBranches, options = {}) {
+    const { cherryPickArgs, revisionCount } = this.getCherryPickArgs(revisionRange, options);
+    this.recordCherryPickSourceRange(revisionRange, options);
+    const cherryPickIntoBranch = (branchName) => this.runInWorktree(this.getLocalTargetBranchName(branchName), async (worktreePath) => {
+      const baseSha = this.git.run(["rev-parse", "HEAD"], { cwd: worktreePath }).stdout.trim();
+      const cherryPickResult = await ChildProcess.spawn(this.git.gitBinPath, ["cherry-pick", ...cherryPickArgs], {
+        cwd: worktreePath,
+        mode: "silent",
+        suppressErrorOnFailingExitCode: true
+      });
+      if (cherryPickResult.status !== 0) {
+        this.git.runGraceful(["cherry-pick", "--abort"], { cwd: worktreePath });
+        return false;
+      }
+      if (options.dryRun) {
+        this.git.run(["reset", "--hard", `HEAD~${revisionCount}`], { cwd: worktreePath });
+      } else if (this.journal !== null) {
+        this.journal.recordCherryPick(branchName, baseSha, this.git.run(["rev-parse", "HEAD"], { cwd: worktreePath }).stdout.trim());
+      }
+      return true;
+    });
+    const results = [];
+    if (this.parallelCherryPicks) {
+      results.push(...await Promise.all(targetBranches.map(cherryPickIntoBranch)));
+    } else {
+      for (const branchName of targetBranches) {
+        results.push(await cherryPickIntoBranch(branchName));
+      }
+    }
+    return targetBranches.filter((_, index) => !results[index]);
+  }
+  getCherryPickArgs(revisionRange, options) {
+    const cherryPickArgs = [revisionRange];
+    const revisionCountOutput = this.git.run(["rev-list", "--count", revisionRange]);
+    const revisionCount = Number(revisionCountOutput.stdout.trim());
+    if (isNaN(revisionCount)) {
+      throw new FatalMergeToolError("Unexpected revision range for cherry-picking. No commit count could be determined.");
+    }
+    if (options.linkToOriginalCommits) {
+      cherryPickArgs.push("-x");
+    }
+    return { cherryPickArgs, revisionCount };
+  }
+  recordCherryPickSourceRange(revisionRange, options) {
+    if (this.journal === null || options.dryRun) {
+      return;
+    }
+    const [fromRef, toRef] = revisionRange.split("..");
+    const [fromSha, toSha] = [fromRef, toRef].map((ref) => this.git.run(["rev-parse", ref]).stdout.trim());
+    this.journal.recordSourceRange(`${fromSha}..${toSha}`);
+  }
+  fetchTargetBranches(names, ...extraRefspecs) {
+    const fetchRefspecs = names.map((targetBranch) => {
+      const localTargetBranch = this.getLocalTargetBranchName(targetBranch);
+      return `refs/heads/${targetBranch}:${localTargetBranch}`;
+    });
+    this.git.run([
+      "fetch",
+      "-q",
+      "-f",
+      this.git.getRepoGitUrl(),
+      ...fetchRefspecs,
+      ...extraRefspecs
+    ]);
+  }
+  pushTargetBranchesUpstream(names) {
+    const pushRefspecs = names.map((targetBranch) => {
+      const localTargetBranch = this.getLocalTargetBranchName(targetBranch);
+      return `${localTargetBranch}:refs/heads/${targetBranch}`;
+    });
+    this.journal?.recordPushAttempt(names);
+    this.git.run(["push", "--atomic", this.git.getRepoGitUrl(), ...pushRefspecs]);
+    this.journal?.recordPushed(names);
+  }
+  async resumeFromJournal(journal) {
+    const pushedBranches = journal.getPushedBranches();
+    const remainingBranches = journal.getUnpushedBranches();
+    this.journal = journal;
+    this._assertTargetBranchesExist(journal.targetBranches);
+    this.fetchTargetBranches(journal.targetBranches);
+    for (const branchName of pushedBranches) {
+      const { headSha } = journal.pushedBranches[branchName];
+      if (!this.git.hasCommit(this.getLocalTargetBranchName(branchName), headSha)) {
+        throw new StaleMergeJournalFatalError(`The "${branchName}" branch no longer contains the previously pushed commit ${headSha}.`);
+      }
+    }
+    const branchesToPick = [];
+    for (const branchName of remainingBranches) {
+      const entry = journal.branches[branchName];
+      if (entry.status === "pending") {
+        if (journal.sourceRange === null) {
+          throw new StaleMergeJournalFatalError(`The changes to merge into "${branchName}" were not recorded before the merge was interrupted.`);
+        }
+        this._assertCommitExists(journal.sourceRange.split("..")[1], branchName);
+        branchesToPick.push([branchName, journal.sourceRange]);
+        continue;
+      }
+      const { baseSha, headSha } = entry;
+      const localTargetBranch = this.getLocalTargetBranchName(branchName);
+      this._assertCommitExists(headSha, branchName);
+      if (this.git.hasCommit(localTargetBranch, headSha)) {
+        journal.recordPushed([branchName]);
+        continue;
+      }
+      if (!this.git.hasCommit(localTargetBranch, baseSha)) {
+        throw new StaleMergeJournalFatalError(`The "${branchName}" branch no longer contains the commit ${baseSha} the changes were cherry-picked onto.`);
+      }
+      branchesToPick.push([branchName, `${baseSha}..${headSha}`]);
+    }
+    if (branchesToPick.length === 0) {
+      return [];
+    }
+    const failedBranches = [];
+    for (const [branchName, revisionRange] of branchesToPick) {
+      failedBranches.push(...await this.cherryPickIntoTargetBranchesInWorktrees(revisionRange, [branchName]));
+    }
+    if (failedBranches.length) {
+      throw new MergeConflictsFatalError(failedBranches);
+    }
+    const resumedBranches = branchesToPick.map(([branchName]) => branchName);
+    this.pushTargetBranchesUpstream(resumedBranches);
+    return resumedBranches;
+  }
+  _assertTargetBranchesExist(names) {
+    const lsRemoteOutput = this.git.run(["ls-remote", "--heads", this.git.getRepoGitUrl(), ...names.map((name) => `refs/heads/${name}`)]).stdout;
+    const existingRefs = lsRemoteOutput.split("\n").map((line) => line.split("\t")[1]);
+    const missingBranches = names.filter((name) => !existingRefs.includes(`refs/heads/${name}`));
+    if (missingBranches.length) {
+      throw new StaleMergeJournalFatalError(`The following target branches no longer exist: ${missingBranches.join(", ")}.`);
+    }
+  }
+  _assertCommitExists(sha, branchName) {
+    if (this.git.runGraceful(["cat-file", "-e", `${sha}^{commit}`]).status !== 0) {
+      throw new StaleMergeJournalFatalError(`The cherry-picked commit ${sha} for "${branchName}" no longer exists locally.`);
+    }
+  }
+  async _assertMergeableOrThrow({ revisionRange }, targetBranches) {
+    const failedBranches = await this.cherryPickIntoTargetBranchesInWorktrees(revisionRange, targetBranches, {
+      dryRun: true
+    });
+    if (failedBranches.length) {
+      throw new MergeConflictsFatalError(failedBranches);
+    }
+  }
+  getMergeCommitTrailers({ prNumber, url, targetLabel, approvers, revisionRange }) {
+    if (this.mergeCommitTrailers === null) {
+      return null;
+    }
+    const coAuthors = this.mergeCommitTrailers.some((template) => template.includes("{coAuthor}")) ? this.git.run(["log", "--format=%an <%ae>", revisionRange]).stdout.split("\n").filter((author, index, authors) => author !== "" && authors.indexOf(author) === index) : [];
+    return expandMergeCommitTrailers(this.mergeCommitTrailers, {
+      prNumber,
+      prUrl: url,
+      targetLabel,
+      reviewers: approvers,
+      coAuthors
+    });
+  }
+  getCommitMessageFilterEnv(pullRequest) {
+    const trailers = this.getMergeCommitTrailers(pullRequest);
+    if (trailers === null) {
+      return void 0;
+    }
+    return { ...process.env, [MERGE_COMMIT_TRAILERS_ENV_VAR]: JSON.stringify(trailers) };
+  }
+  getLocalTargetBranchShas(targetBranches) {
+    return targetBranches.map((targetBranch) => {
+      const localBranch = this.getLocalTargetBranchName(targetBranch);
+      const sha = this.git.run(["rev-parse", localBranch]).stdout.trim();
+      return [targetBranch, sha];
+    });
+  }
+  async createMergeComment(pullRequest, targetBranches) {
+    const banchesAndSha = this.getLocalTargetBranchShas(targetBranches);
+    await this.git.github.issues.createComment({
+      ...this.git.remoteParams,
+      issue_number: pullRequest.prNumber,
+      body: `This PR was merged into the repository. The changes were merged into the following branches:
+
+${banchesAndSha.map(([branch, sha]) => `- ${branch}: ${sha}`).join("\n")}`
+    });
+  }
+  async closeLinkedIssues({ closingIssuesReferences, githubTargetBranch }) {
+    if (githubTargetBranch === this.git.mainBranchName) {
+      return;
+    }
+    for (const { number: issue_number, state } of closingIssuesReferences) {
+      if (state === "CLOSED") {
+        continue;
+      }
+      await this.git.github.issues.update({
+        ...this.git.remoteParams,
+        issue_number,
+        state_reason: "completed",
+        state: "closed"
+      });
+      this.closedIssues.push(issue_number);
+    }
+  }
+};
+
+// ng-dev/pr/common/validation/validation-failure.js
+var PullRequestValidationFailure = class {
+  constructor(message, validationName, canBeForceIgnored, isFinal = true) {
+    this.message = message;
+    this.validationName = validationName;
+    this.canBeForceIgnored = canBeForceIgnored;
+    this.isFinal = isFinal;
+  }
+};
+
+// ng-dev/pr/common/validation/validation-config.js
+var defaultConfig = {
+  assertPending: true,
+  assertMergeReady: true,
+  assertSignedCla: true,
+  assertChangesAllowForTargetLabel: true,
+  assertPassingCi: true,
+  assertCompletedReviews: true,
+  assertEnforcedStatuses: true,
+  assertMinimumReviews: true,
+  assertIsolatedSeparateFiles: false,
+  assertEnforceTested: false,
+  assertCodeOwnerApproval: false,
+  assertNoMergeFreeze: true,
+  assertFeatureFreezeRestrictions: false,
+  assertPullRequestSize: true
+};
+function createPullRequestValidationConfig(config) {
+  return { ...defaultConfig, ...config };
+}
+var PullRequestValidation = class {
+  constructor(name, _createError) {
+    this.name = name;
+    this._createError = _createError;
+  }
+};
+function createPullRequestValidation({ name, canBeForceIgnored }, getValidationCtor) {
+  return {
+    name,
+    canBeForceIgnored,
+    async run(validationConfig, ...args) {
+      if (validationConfig[name]) {
+        const validation = new (getValidationCtor())(name, (message, isFinal = true, failureCanBeForceIgnored = canBeForceIgnored) => new PullRequestValidationFailure(message, name, failureCanBeForceIgnored, isFinal));
+        try {
+          await validation.assert(...args);
+        } catch (e) {
+          if (e instanceof PullRequestValidationFailure) {
+            return e;
+          }
+          throw e;
+        }
+      }
+      return null;
+    }
+  };
+}
+
 export {
   params,
   alias,
@@ -27884,6 +28548,7 @@ export {
   require_dist2 as require_dist,
   assertValidPullRequestConfig,
   Label,
+  TargetLabel,
   targetLabels,
   managedLabels,
   actionLabels,
@@ -27892,9 +28557,27 @@ export {
   requiresLabels,
   miscLabels,
   allLabels,
+  getLabelRegistry,
   ReleasePrecheckError,
   assertPassingReleasePrechecks,
-  resolveYarnScriptForProject
+  resolveYarnScriptForProject,
+  FatalMergeToolError,
+  UserAbortedMergeToolError,
+  MismatchedTargetBranchFatalError,
+  UnsatisfiedBaseShaFatalError,
+  MergeConflictsFatalError,
+  PullRequestValidationError,
+  StaleMergeJournalFatalError,
+  MismatchedPullRequestHeadShaFatalError,
+  NonInteractiveMergeToolError,
+  MergeJournal,
+  MergeHistory,
+  TEMP_PR_HEAD_BRANCH,
+  MergeStrategy,
+  PullRequestValidationFailure,
+  createPullRequestValidationConfig,
+  PullRequestValidation,
+  createPullRequestValidation
 };
 /*! Bundled license information:
 
@@ -7,14 +7,27 @@ import {
   ActiveReleaseTrains,
   AuthenticatedGitClient,
   COMMIT_TYPES,
+  FatalMergeToolError,
   GITHUB_TOKEN_GENERATE_URL,
   GitClient,
   GitCommandError,
   GraphqlResponseError,
+  MergeConflictsFatalError,
+  MergeHistory,
+  MergeJournal,
+  MergeStrategy,
+  MismatchedPullRequestHeadShaFatalError,
+  MismatchedTargetBranchFatalError,
+  NonInteractiveMergeToolError,
   Prompt,
+  PullRequestValidation,
+  PullRequestValidationError,
   ReleaseNotesLevel,
   ScopeRequirement,
-  actionLabels,
+  StaleMergeJournalFatalError,
+  TEMP_PR_HEAD_BRANCH,
+  UnsatisfiedBaseShaFatalError,
+  UserAbortedMergeToolError,
   addDryRunFlag,
   addTokenToGitHttpsUrl,
   alias,
@@ -24,10 +37,13 @@ import {
   assertValidPullRequestConfig,
   computeLtsEndDateOfMajor,
   convertVersionBranchToSemVer,
+  createPullRequestValidation,
+  createPullRequestValidationConfig,
   exceptionalMinorPackageIndicator,
   fetchLongTermSupportBranchesFromNpm,
   fetchProjectNpmPackageInfo,
   getFileContentsUrl,
+  getLabelRegistry,
   getListCommitsInBranchUrl,
   getLtsNpmDistTagOfMajor,
   getNextBranchName,
@@ -36,14 +52,11 @@ import {
   isGithubApiError,
   isVersionBranch,
   isVersionPublishedToNpm,
-  managedLabels,
-  mergeLabels,
   onUnion,
   optional,
   params,
   require_dist,
   require_semver,
-  requiresLabels,
   resolveYarnScriptForProject,
   targetLabels,
   types
@@ -64,6 +77,7 @@ import {
   green,
   init_supports_color,
   red,
+  redirectLogOutputToStderr,
   runParserWithCompletedFunctions,
   supports_color_exports,
   underline,
@@ -31315,7 +31329,7 @@ function compareString(a, b) {
 }
 
 // ng-dev/pr/common/targeting/lts-branch.js
-async function assertActiveLtsBranch(repo, releaseConfig, branchName) {
+async function assertActiveLtsBranch(repo, releaseConfig, branchName, confirmForceMerge = () => Prompt.confirm({ message: "Do you want to forcibly proceed with merging?" })) {
   const { version: version2 } = await getVersionInfoForBranch(repo, branchName);
   const { "dist-tags": distTags, time: time3 } = await fetchProjectNpmPackageInfo(releaseConfig);
   const ltsNpmTag = getLtsNpmDistTagOfMajor(version2.major);
@@ -31333,7 +31347,7 @@ async function assertActiveLtsBranch(repo, releaseConfig, branchName) {
     const ltsEndDateText = ltsEndDate.toLocaleDateString(defaultLocale);
     Log.warn(red(`Long-term support ended for v${version2.major} on ${ltsEndDateText}.`));
     Log.warn(yellow(`Merging of pull requests for this major is generally not desired, but can be forcibly ignored.`));
-    if (await Prompt.confirm({ message: "Do you want to forcibly proceed with merging?" })) {
+    if (await confirmForceMerge()) {
       return;
     }
     throw new InvalidTargetBranchError(`Long-term supported ended for v${version2.major} on ${ltsEndDateText}. Pull request cannot be merged into the ${branchName} branch.`);
@@ -31444,6 +31458,7 @@ async function getTargetLabelConfigsForActiveReleaseTrains({ latest, releaseCand
       throw err;
     }
   }
+  labelConfigs.push(...config2.pullRequest.targetLabels ?? []);
   return labelConfigs;
 }
 
@@ -31843,6 +31858,33 @@ function getCommitMessageFilterScriptPath() {
   return join7(bundlesDir, "./pr/checkout/commit-message-filter.mjs");
 }
 
+// ng-dev/pr/common/stacked-pull-requests.js
+async function findParentPullRequest(git, baseRefName, baseSha) {
+  const { data } = await git.github.pulls.list({
+    ...git.remoteParams,
+    state: "open",
+    head: `${git.remoteParams.owner}:${baseRefName}`
+  });
+  const parent = data.find(({ head }) => head.sha === baseSha);
+  if (parent === void 0) {
+    return null;
+  }
+  return { prNumber: parent.number, baseRefName: parent.base.ref, baseSha: parent.base.sha };
+}
+async function getPullRequestStack(git, prNumber) {
+  const { data } = await git.github.pulls.get({ ...git.remoteParams, pull_number: prNumber });
+  const stack = [{ prNumber, baseRefName: data.base.ref, baseSha: data.base.sha }];
+  let parent = await findParentPullRequest(git, data.base.ref, data.base.sha);
+  while (parent !== null) {
+    if (stack.some((entry) => entry.prNumber === parent.prNumber)) {
+      throw new FatalMergeToolError(`Pull request #${prNumber} is part of a cyclic stack of pull requests.`);
+    }
+    stack.unshift(parent);
+    parent = await findParentPullRequest(git, parent.baseRefName, parent.baseSha);
+  }
+  return stack;
+}
+
 // ng-dev/pr/checkout/checkout.js
 async function checkoutPullRequest(params2) {
   const { pr, takeover, target } = params2;
@@ -31879,6 +31921,11 @@ async function checkoutPullRequest(params2) {
     }
   }
   Log.info(` ${green("\u2714")} Checked out the remote branch for pull request #${pr}`);
+  const parent = await findParentPullRequest(git, localCheckoutResult.pullRequest.baseRef.name);
+  if (parent !== null) {
+    Log.warn(` ${yellow("\u26A0")} This pull request is stacked on top of pull request #${parent.prNumber}.`);
+    Log.warn(`   It can only be merged after #${parent.prNumber}, or together with it using "ng-dev pr merge ${pr} --stack".`);
+  }
   if (maintainerCanModify) {
     Log.info("To push the checked out branch back to its PR, run the following command:");
     Log.info(`  $ ${localCheckoutResult.pushToUpstreamCommand}`);
@@ -32019,7 +32066,9 @@ var PR_SCHEMA2 = {
   })
 };
 var PR_FILES_SCHEMA = params({ first: 100 }, {
-  path: types.string
+  path: types.string,
+  additions: types.number,
+  deletions: types.number
 });
 var PR_COMMENTS_SCHEMA = params({ first: 100 }, {
   author: {
@@ -32221,102 +32270,48 @@ function getTargetedBranchesMessage(pullRequest) {
   return `Pull Request #${pullRequest.prNumber} will merge into:
 ${targetBranchListAsString}`;
 }
-
-// ng-dev/pr/merge/failures.js
-var FatalMergeToolError = class extends Error {
-  constructor(message) {
-    super(message);
-  }
-};
-var UserAbortedMergeToolError = class extends FatalMergeToolError {
-  constructor() {
-    super("Tool exited due to user aborting merge attempt.");
-  }
-};
-var MismatchedTargetBranchFatalError = class extends FatalMergeToolError {
-  constructor(allowedBranches) {
-    super(`Pull request is set to wrong base branch. Please update the PR in the Github UI to one of the following branches: ${allowedBranches.join(", ")}.`);
-  }
-};
-var UnsatisfiedBaseShaFatalError = class extends FatalMergeToolError {
-  constructor() {
-    super(`Pull request has not been rebased recently and could be bypassing CI checks. Please rebase the PR.`);
-  }
-};
-var MergeConflictsFatalError = class extends FatalMergeToolError {
-  constructor(failedBranches) {
-    super(`Cannot not merge pull request into the following branches due to merge conflicts: ${failedBranches.join(", ")}. Please rebase the PR or update the target label.`);
-    this.failedBranches = failedBranches;
-  }
-};
-var PullRequestValidationError = class extends FatalMergeToolError {
-  constructor() {
-    super("Tool exited as at least one pull request validation error was discovered.");
-  }
-};
-var MismatchedPullRequestHeadShaFatalError = class extends FatalMergeToolError {
-  constructor(expectedSha, actualSha) {
-    super(`Pull request head commit changed after it was validated. The pull request was validated at ${expectedSha}, but its head is now ${actualSha}. Merging would land commits that were never reviewed or checked. Please re-run the merge so the new head is validated.`);
-  }
-};
-
-// ng-dev/pr/common/validation/validation-failure.js
-var PullRequestValidationFailure = class {
-  constructor(message, validationName, canBeForceIgnored, isFinal = true) {
-    this.message = message;
-    this.validationName = validationName;
-    this.canBeForceIgnored = canBeForceIgnored;
-    this.isFinal = isFinal;
-  }
-};
-
-// ng-dev/pr/common/validation/validation-config.js
-var defaultConfig = {
-  assertPending: true,
-  assertMergeReady: true,
-  assertSignedCla: true,
-  assertChangesAllowForTargetLabel: true,
-  assertPassingCi: true,
-  assertCompletedReviews: true,
-  assertEnforcedStatuses: true,
-  assertMinimumReviews: true,
-  assertIsolatedSeparateFiles: false,
-  assertEnforceTested: false
-};
-function createPullRequestValidationConfig(config2) {
-  return { ...defaultConfig, ...config2 };
+function getMergeJournalMessage(journal) {
+  const branchStatusList = journal.targetBranches.map((branchName) => {
+    const pushed = journal.pushedBranches[branchName];
+    const status = pushed !== void 0 ? green(`pushed (${pushed.headSha})`) : yellow("not pushed");
+    return `  - ${bold(branchName)}: ${status}`;
+  }).join("\n");
+  return `The merge of pull request #${journal.prNumber} was interrupted. Status of its target branches:
+${branchStatusList}`;
 }
-var PullRequestValidation = class {
-  constructor(name, _createError) {
-    this.name = name;
-    this._createError = _createError;
+function getMergeJournalRevertMessage(journal) {
+  const pushedBranches = journal.getPushedBranches();
+  if (pushedBranches.length === 0) {
+    return "No changes have been pushed to any of the target branches.";
   }
-};
-function createPullRequestValidation({ name, canBeForceIgnored }, getValidationCtor) {
-  return {
-    async run(validationConfig, ...args) {
-      if (validationConfig[name]) {
-        const validation = new (getValidationCtor())(name, (message, isFinal = true) => new PullRequestValidationFailure(message, name, canBeForceIgnored, isFinal));
-        try {
-          await validation.assert(...args);
-        } catch (e) {
-          if (e instanceof PullRequestValidationFailure) {
-            return e;
-          }
-          throw e;
-        }
-      }
-      return null;
-    }
-  };
+  const revertCommandList = pushedBranches.map((branchName) => {
+    const { baseSha, headSha } = journal.pushedBranches[branchName];
+    return `  - ${bold(branchName)}: git revert ${baseSha}..${headSha}`;
+  }).join("\n");
+  return `To undo the partial merge, revert the changes that were pushed to the following branches:
+${revertCommandList}`;
+}
+function getMergeQueueConfirmationPromptMessage(pullRequests) {
+  return `Do you want to proceed merging ${pullRequests.length} pull request(s)?`;
+}
+function getMergeQueueSummaryMessage({ merged, skipped, failed }, dryRun = false) {
+  const lines = [bold(dryRun ? "Merge queue summary (dry run):" : "Merge queue summary:")];
+  lines.push(green(`  ${dryRun ? "Would merge" : "Merged"} (${merged.length}):`));
+  lines.push(...merged.map(({ prNumber, title, targetBranches }) => `    - #${prNumber}: ${title} (${targetBranches.join(", ")})`));
+  lines.push(yellow(`  Skipped (${skipped.length}):`));
+  lines.push(...skipped.map(({ prNumber, reason }) => `    - #${prNumber}: ${reason}`));
+  lines.push(red(`  Failed (${failed.length}):`));
+  lines.push(...failed.map(({ prNumber, reason }) => `    - #${prNumber}: ${reason}`));
+  return lines.join("\n");
 }
 
 // ng-dev/pr/common/validation/assert-allowed-target-label.js
 var automationBots = ["angular-robot"];
 var changesAllowForTargetLabelValidation = createPullRequestValidation({ name: "assertChangesAllowForTargetLabel", canBeForceIgnored: true }, () => Validation);
 var Validation = class extends PullRequestValidation {
-  assert(commits, targetLabel, config2, releaseTrains, labelsOnPullRequest, pullRequest) {
-    if (labelsOnPullRequest.includes(mergeLabels["MERGE_FIX_COMMIT_MESSAGE"].name)) {
+  assert(commits, targetLabel, config2, releaseTrains, labelsOnPullRequest, pullRequest, labelRegistry) {
+    const fixupLabel = labelRegistry["MERGE_FIX_COMMIT_MESSAGE"];
+    if (fixupLabel !== void 0 && labelsOnPullRequest.includes(fixupLabel.name)) {
       Log.debug("Skipping commit message target label validation because the commit message fixup label is applied.");
       return;
     }
@@ -32340,7 +32335,7 @@ var Validation = class extends PullRequestValidation {
           throw this._createHasBreakingChangesError(targetLabel);
         }
         if (hasFeatureCommits) {
-          throw this._createHasFeatureCommitsError(targetLabel);
+          throw this._createHasFeatureCommitsError(targetLabel, releaseTrains);
         }
         if (hasDeprecations && !releaseTrains.isFeatureFreeze()) {
           throw this._createHasDeprecationsError(targetLabel);
@@ -32365,8 +32360,11 @@ var Validation = class extends PullRequestValidation {
     const message = `Cannot merge into branch for "${label.name}" as the pull request contains deprecations. Deprecations can only be merged with the "target: minor" or "target: major" label.`;
     return this._createError(message);
   }
-  _createHasFeatureCommitsError(label) {
-    const message = `Cannot merge into branch for "${label.name}" as the pull request has commits with the "feat" type. New features can only be merged with the "target: minor" or "target: major" label.`;
+  _createHasFeatureCommitsError(label, releaseTrains) {
+    let message = `Cannot merge into branch for "${label.name}" as the pull request has commits with the "feat" type. New features can only be merged with the "target: minor" or "target: major" label.`;
+    if (label === targetLabels["TARGET_RC"] && releaseTrains.isFeatureFreeze()) {
+      message += ` The release-candidate branch (${releaseTrains.releaseCandidate.branchName}) is in feature freeze, so it only accepts fixes until the release is finalized.`;
+    }
     return this._createError(message);
   }
   _createUserUsingAutomationLabelError(label, author) {
@@ -32378,18 +32376,22 @@ var Validation = class extends PullRequestValidation {
 // ng-dev/pr/common/validation/assert-breaking-change-info.js
 var breakingChangeInfoValidation = createPullRequestValidation({ name: "assertPending", canBeForceIgnored: false }, () => Validation2);
 var Validation2 = class extends PullRequestValidation {
-  assert(commits, labels) {
-    const hasLabel = labels.includes(managedLabels["DETECTED_BREAKING_CHANGE"].name);
+  assert(commits, labels, labelRegistry) {
+    const breakingChangeLabel = labelRegistry["DETECTED_BREAKING_CHANGE"];
+    if (breakingChangeLabel === void 0) {
+      return;
+    }
+    const hasLabel = labels.includes(breakingChangeLabel.name);
     const hasCommit = commits.some((commit) => commit.breakingChanges.length !== 0);
     if (!hasLabel && hasCommit) {
-      throw this._createMissingBreakingChangeLabelError();
+      throw this._createMissingBreakingChangeLabelError(breakingChangeLabel);
     }
     if (hasLabel && !hasCommit) {
       throw this._createMissingBreakingChangeCommitError();
     }
   }
-  _createMissingBreakingChangeLabelError() {
-    const message = `Pull Request has at least one commit containing a breaking change note, but does not have a breaking change label. Make sure to apply the following label: ${managedLabels["DETECTED_BREAKING_CHANGE"].name}`;
+  _createMissingBreakingChangeLabelError(label) {
+    const message = `Pull Request has at least one commit containing a breaking change note, but does not have a breaking change label. Make sure to apply the following label: ${label.name}`;
     return this._createError(message);
   }
   _createMissingBreakingChangeCommitError() {
@@ -32401,10 +32403,10 @@ var Validation2 = class extends PullRequestValidation {
 // ng-dev/pr/common/validation/assert-completed-reviews.js
 var completedReviewsValidation = createPullRequestValidation({ name: "assertCompletedReviews", canBeForceIgnored: false }, () => Validation3);
 var Validation3 = class extends PullRequestValidation {
-  assert(pullRequest) {
+  assert(pullRequest, awaitReviews) {
     const totalCount = pullRequest.reviewRequests.totalCount;
     if (totalCount !== 0) {
-      throw this._createError(`Pull request cannot be merged with pending reviews, it current has ${totalCount} pending review(s)`);
+      throw this._createError(`Pull request cannot be merged with pending reviews, it current has ${totalCount} pending review(s)`, !awaitReviews);
     }
   }
 };
@@ -32484,28 +32486,45 @@ async function getDiffStats(ngDevConfig, googleSyncConfig, git) {
 // ng-dev/pr/common/validation/assert-enforced-statuses.js
 var enforcedStatusesValidation = createPullRequestValidation({ name: "assertEnforcedStatuses", canBeForceIgnored: true }, () => Validation5);
 var Validation5 = class extends PullRequestValidation {
-  assert(pullRequest, config2) {
-    if (config2.requiredStatuses === void 0) {
+  assert(pullRequest, config2, targetBranches) {
+    const requiredStatuses = new Set([pullRequest.baseRefName, ...targetBranches].flatMap((branch) => getRequiredStatusesForBranch(config2.requiredStatuses, branch)));
+    if (requiredStatuses.size === 0) {
       return;
     }
     const { statuses } = getStatusesForPullRequest(pullRequest);
     const missing = [];
-    for (const enforced of config2.requiredStatuses) {
-      if (!statuses.some((s) => s.name === enforced.name && s.type === enforced.type)) {
-        missing.push(enforced.name);
+    for (const enforced of requiredStatuses) {
+      if (!missing.includes(`${enforced.name}`) && !statuses.some((s) => s.type === enforced.type && matchesRequiredStatusName(enforced.name, s.name))) {
+        missing.push(`${enforced.name}`);
       }
     }
     if (missing.length > 0) {
-      throw this._createError(`Required statuses are missing on the pull request (${missing.join(", ")}).`);
+      throw this._createError(`Required statuses are missing on the pull request. No status matched the following pattern(s): ${missing.join(", ")}.`);
     }
   }
 };
+function getRequiredStatusesForBranch(requiredStatuses, targetBranch) {
+  if (requiredStatuses === void 0) {
+    return [];
+  }
+  if (Array.isArray(requiredStatuses)) {
+    return requiredStatuses;
+  }
+  const branchPattern = Object.keys(requiredStatuses).find((pattern) => new Minimatch(pattern).match(targetBranch));
+  return branchPattern !== void 0 ? requiredStatuses[branchPattern] : [];
+}
+function matchesRequiredStatusName(pattern, name) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(name);
+  }
+  return pattern === name || new Minimatch(pattern, { nonegate: true, nocomment: true }).match(name);
+}
 
 // ng-dev/pr/common/validation/assert-enforce-tested.js
 var enforceTestedValidation = createPullRequestValidation({ name: "assertEnforceTested", canBeForceIgnored: true }, () => Validation6);
 var Validation6 = class extends PullRequestValidation {
-  async assert(pullRequest, gitClient2) {
-    if (!pullRequestRequiresTGP(pullRequest)) {
+  async assert(pullRequest, gitClient2, labelRegistry) {
+    if (!pullRequestRequiresTGP(pullRequest, labelRegistry)) {
       return;
     }
     const comments = await PullRequestComments.create(gitClient2, pullRequest.number).loadPullRequestComments();
@@ -32515,8 +32534,9 @@ var Validation6 = class extends PullRequestValidation {
     throw this._createError(`Pull Request requires a TGP and does not have one. Either run a TGP or specify the PR is fully tested by adding a comment with "TESTED=[reason]".`);
   }
 };
-function pullRequestRequiresTGP(pullRequest) {
-  return pullRequest.labels.nodes.some(({ name }) => name === requiresLabels["REQUIRES_TGP"].name);
+function pullRequestRequiresTGP(pullRequest, labelRegistry) {
+  const tgpLabel = labelRegistry["REQUIRES_TGP"];
+  return tgpLabel !== void 0 && pullRequest.labels.nodes.some(({ name }) => name === tgpLabel.name);
 }
 var PullRequestComments = class _PullRequestComments {
   constructor(git, prNumber) {
@@ -32542,26 +32562,92 @@ async function pullRequestHasValidTestedComment(comments, gitClient2) {
 // ng-dev/pr/common/validation/assert-merge-ready.js
 var mergeReadyValidation = createPullRequestValidation({ name: "assertMergeReady", canBeForceIgnored: false }, () => Validation7);
 var Validation7 = class extends PullRequestValidation {
-  assert(pullRequest) {
+  assert(pullRequest, labelRegistry) {
     if (pullRequest.isDraft) {
       throw this._createError("Pull request is still a draft.");
     }
-    if (!pullRequest.labels.nodes.some(({ name }) => name === actionLabels["ACTION_MERGE"].name)) {
+    const mergeLabel = labelRegistry["ACTION_MERGE"];
+    if (mergeLabel !== void 0 && !pullRequest.labels.nodes.some(({ name }) => name === mergeLabel.name)) {
       throw this._createError("Pull request is not marked as merge ready.");
     }
   }
 };
 
+// ng-dev/pr/common/validation/team-membership.js
+async function isActiveTeamMember(git, org, team_slug, username) {
+  try {
+    const { data } = await git.github.teams.getMembershipForUserInOrg({ org, team_slug, username });
+    return data.state === "active";
+  } catch (e) {
+    if (isGithubApiError(e) && e.status === 404) {
+      return false;
+    }
+    throw e;
+  }
+}
+
 // ng-dev/pr/common/validation/assert-minimum-reviews.js
 var minimumReviewsValidation = createPullRequestValidation({ name: "assertMinimumReviews", canBeForceIgnored: false }, () => Validation8);
 var Validation8 = class extends PullRequestValidation {
-  assert(pullRequest) {
-    const totalCount = pullRequest.reviews.nodes.filter(({ authorAssociation }) => authorAssociation === "MEMBER").length;
-    if (totalCount === 0) {
-      throw this._createError(`Pull request cannot be merged without at least one review from a team member`);
+  async assert(pullRequest, gitClient2, rules, awaitReviews) {
+    const memberApprovals = pullRequest.reviews.nodes.filter(({ authorAssociation }) => authorAssociation === "MEMBER");
+    if (memberApprovals.length === 0) {
+      throw this._createError(`Pull request cannot be merged without at least one review from a team member`, !awaitReviews);
+    }
+    const labels = pullRequest.labels.nodes.map(({ name }) => name);
+    const files = rules.some((rule) => rule.files !== void 0) ? (await fetchPullRequestFilesFromGithub(gitClient2, pullRequest.number))?.map((file2) => file2.path) ?? [] : [];
+    for (const rule of rules) {
+      if (!isMinimumReviewRuleActive(rule, files, labels)) {
+        continue;
+      }
+      const { minimum = 1, reviewers } = rule;
+      const approvers = reviewers === void 0 ? [...new Set(memberApprovals.map(({ author }) => author.login))] : await getApproversFromReviewers(pullRequest, reviewers, gitClient2);
+      if (approvers.length < minimum) {
+        throw this._createError(`Pull request does not satisfy the review rule "${getMinimumReviewRuleName(rule)}": it requires ${minimum} approval(s)${reviewers === void 0 ? " from team members" : ` from ${reviewers.join(", ")}`}, but has ${approvers.length}.`, !awaitReviews);
+      }
     }
   }
 };
+function isMinimumReviewRuleActive({ files: filePatterns, labels: ruleLabels }, files, labels) {
+  if (filePatterns !== void 0) {
+    const globs = filePatterns.map((pattern) => new Minimatch(pattern, { dot: true }));
+    if (!files.some((file2) => globs.some((matcher) => matcher.match(file2)))) {
+      return false;
+    }
+  }
+  if (ruleLabels !== void 0 && !ruleLabels.some((label) => labels.includes(label))) {
+    return false;
+  }
+  return true;
+}
+async function getApproversFromReviewers(pullRequest, reviewers, git) {
+  const approvers = [...new Set(pullRequest.reviews.nodes.map(({ author }) => author.login))];
+  const matchingApprovers = [];
+  for (const approver of approvers) {
+    for (const reviewer of reviewers) {
+      const [org, team] = reviewer.replace(/^@/, "").split("/");
+      const isMatch = team === void 0 ? org.toLowerCase() === approver.toLowerCase() : await isActiveTeamMember(git, org, team, approver);
+      if (isMatch) {
+        matchingApprovers.push(approver);
+        break;
+      }
+    }
+  }
+  return matchingApprovers;
+}
+function getMinimumReviewRuleName({ name, files, labels }) {
+  if (name !== void 0) {
+    return name;
+  }
+  const conditions = [];
+  if (files !== void 0) {
+    conditions.push(`touching ${files.join(", ")}`);
+  }
+  if (labels !== void 0) {
+    conditions.push(`labeled ${labels.join(", ")}`);
+  }
+  return conditions.length > 0 ? conditions.join(" and ") : "all pull requests";
+}
 
 // ng-dev/pr/common/validation/assert-passing-ci.js
 var passingCiValidation = createPullRequestValidation({ name: "assertPassingCi", canBeForceIgnored: true }, () => Validation9);
@@ -32606,32 +32692,207 @@ var Validation11 = class extends PullRequestValidation {
   }
 };
 
+// ng-dev/pr/common/validation/assert-code-owner-approval.js
+var codeOwnerApprovalValidation = createPullRequestValidation({ name: "assertCodeOwnerApproval", canBeForceIgnored: false }, () => Validation12);
+var Validation12 = class extends PullRequestValidation {
+  async assert(pullRequest, gitClient2, awaitReviews) {
+    const pullApproveYaml = await fetchPullApproveYamlFromGithub(gitClient2, pullRequest.baseRefName);
+    if (pullApproveYaml === null) {
+      throw this._createError(`No .pullapprove.yml file was found in the "${pullRequest.baseRefName}" branch to determine the code owners.`);
+    }
+    const groups = getGroupsFromYaml(pullApproveYaml).filter((group) => group.conditions.length > 0);
+    const files = (await fetchPullRequestFilesFromGithub(gitClient2, pullRequest.number))?.map((file2) => file2.path) ?? [];
+    const activeGroups = groups.filter((group) => files.some((file2) => group.testFile(file2)));
+    const approvers = new Set(pullRequest.reviews.nodes.map(({ author }) => author.login.toLowerCase()));
+    const unapprovedGroups = [];
+    for (const group of activeGroups) {
+      if (!await hasCodeOwnerApproval(group, approvers, gitClient2)) {
+        unapprovedGroups.push(group.groupName);
+      }
+    }
+    if (unapprovedGroups.length > 0) {
+      throw this._createError(`Pull request is missing an approval from a code owner of the following group(s): ${unapprovedGroups.join(", ")}`, !awaitReviews);
+    }
+  }
+};
+async function fetchPullApproveYamlFromGithub(git, branchName) {
+  try {
+    const { data } = await git.github.repos.getContent({
+      ...git.remoteParams,
+      ref: branchName,
+      path: ".pullapprove.yml"
+    });
+    if (Array.isArray(data) || data.type !== "file") {
+      return null;
+    }
+    return Buffer.from(data.content, data.encoding).toString("utf-8");
+  } catch (e) {
+    if (isGithubApiError(e) && e.status === 404) {
+      return null;
+    }
+    throw e;
+  }
+}
+async function hasCodeOwnerApproval({ reviewers }, approvers, git) {
+  const { users = [], teams = [] } = reviewers;
+  if (users.some((user) => approvers.has(user.toLowerCase()))) {
+    return true;
+  }
+  for (const team of teams) {
+    for (const username of approvers) {
+      if (await isActiveTeamMember(git, git.remoteParams.owner, team, username)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// ng-dev/pr/common/validation/assert-no-merge-freeze.js
+var noMergeFreezeValidation = createPullRequestValidation({ name: "assertNoMergeFreeze", canBeForceIgnored: false }, () => Validation13);
+var Validation13 = class extends PullRequestValidation {
+  assert(labels, targetBranches, freezeWindows) {
+    for (const freezeWindow of freezeWindows) {
+      const { name, branches, end, overrideLabel, canBeForceIgnored = false } = freezeWindow;
+      if (!isFreezeWindowActive(freezeWindow) || overrideLabel !== void 0 && labels.includes(overrideLabel)) {
+        continue;
+      }
+      const globs = branches.map((pattern) => new Minimatch(pattern));
+      const frozenBranches = targetBranches.filter((branch) => globs.some((matcher) => matcher.match(branch)));
+      if (frozenBranches.length === 0) {
+        continue;
+      }
+      const overrideHint = overrideLabel !== void 0 ? ` Apply the "${overrideLabel}" label to merge during the freeze.` : "";
+      throw this._createError(`Merging into ${frozenBranches.join(", ")} is frozen for "${name}" until ${end}.${overrideHint}`, true, canBeForceIgnored);
+    }
+  }
+};
+function isFreezeWindowActive({ start, end }) {
+  const now = Date.now();
+  return parseFreezeWindowDate(start) <= now && now < parseFreezeWindowDate(end, true);
+}
+function parseFreezeWindowDate(date, endOfDay = false) {
+  const dateOnlyMatch = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnlyMatch === null) {
+    return Date.parse(date);
+  }
+  const [, year, month, day] = dateOnlyMatch.map(Number);
+  return new Date(year, month - 1, endOfDay ? day + 1 : day).getTime();
+}
+
+// ng-dev/pr/common/validation/assert-feature-freeze-restrictions.js
+var featureFreezeRestrictionsValidation = createPullRequestValidation({ name: "assertFeatureFreezeRestrictions", canBeForceIgnored: true }, () => Validation14);
+var Validation14 = class extends PullRequestValidation {
+  async assert(targetBranches, releaseTrains, config2, pullRequest, gitClient2) {
+    const restrictedPaths = config2.featureFreezeRestrictedPaths ?? [];
+    if (restrictedPaths.length === 0 || !releaseTrains.isFeatureFreeze() || !targetBranches.includes(releaseTrains.releaseCandidate.branchName)) {
+      return;
+    }
+    const rcBranch = releaseTrains.releaseCandidate.branchName;
+    const globs = restrictedPaths.map((pattern) => new Minimatch(pattern, { dot: true }));
+    const files = (await fetchPullRequestFilesFromGithub(gitClient2, pullRequest.number))?.map((file2) => file2.path) ?? [];
+    const restrictedFiles = files.filter((file2) => globs.some((matcher) => matcher.match(file2)));
+    if (restrictedFiles.length > 0) {
+      throw this._createError(`Cannot merge into the release-candidate branch (${rcBranch}) during feature freeze as the pull request changes paths that are restricted until the release is finalized: ${restrictedFiles.join(", ")}`);
+    }
+  }
+};
+
+// ng-dev/pr/common/validation/assert-pull-request-size.js
+var pullRequestSizeValidation = createPullRequestValidation({ name: "assertPullRequestSize", canBeForceIgnored: true }, () => Validation15);
+var Validation15 = class extends PullRequestValidation {
+  async assert(pullRequest, labels, targetLabel, sizeLimits, gitClient2) {
+    if (sizeLimits.overrideLabel !== void 0 && labels.includes(sizeLimits.overrideLabel)) {
+      return;
+    }
+    const { maxFiles, maxLines, maxCommits } = { ...sizeLimits, ...sizeLimits.targetLabels?.[targetLabel.name] };
+    const violations = [];
+    if (maxCommits !== void 0 && pullRequest.commits.totalCount > maxCommits) {
+      violations.push(`${pullRequest.commits.totalCount} commits (limit: ${maxCommits})`);
+    }
+    if (maxFiles !== void 0 || maxLines !== void 0) {
+      const globs = (sizeLimits.excludedPaths ?? []).map((pattern) => new Minimatch(pattern, { dot: true }));
+      const files = ((await fetchPullRequestFilesFromGithub(gitClient2, pullRequest.number)) ?? []).filter((file2) => !globs.some((matcher) => matcher.match(file2.path)));
+      const changedLines = files.reduce((total, file2) => total + file2.additions + file2.deletions, 0);
+      if (maxFiles !== void 0 && files.length > maxFiles) {
+        violations.push(`${files.length} changed files (limit: ${maxFiles})`);
+      }
+      if (maxLines !== void 0 && changedLines > maxLines) {
+        violations.push(`${changedLines} added/removed lines (limit: ${maxLines})`);
+      }
+    }
+    if (violations.length > 0) {
+      const overrideHint = sizeLimits.overrideLabel !== void 0 ? ` Apply the "${sizeLimits.overrideLabel}" label to merge it anyway.` : "";
+      throw this._createError(`Pull request exceeds the size limits for "${targetLabel.name}": it has ${violations.join(", ")}. Consider splitting it into smaller pull requests.${overrideHint}`);
+    }
+  }
+};
+
 // ng-dev/pr/common/validation/validate-pull-request.js
 import { setTimeout as setTimeout2 } from "node:timers/promises";
 async function runValidations(pullRequest, validationConfig, ngDevConfig, activeReleaseTrains, target, gitClient2) {
   const labels = pullRequest.labels.nodes.map((l) => l.name);
+  const labelRegistry = getLabelRegistry(ngDevConfig);
   const commitsInPr = pullRequest.commits.nodes.map((n) => {
     return parseCommitMessage(n.commit.message);
   });
   const validationPromises = [
-    minimumReviewsValidation.run(validationConfig, pullRequest),
-    completedReviewsValidation.run(validationConfig, pullRequest),
-    mergeReadyValidation.run(validationConfig, pullRequest),
+    minimumReviewsValidation.run(validationConfig, pullRequest, gitClient2, validationConfig.minimumReviewRules ?? [], validationConfig.awaitReviews === true),
+    completedReviewsValidation.run(validationConfig, pullRequest, validationConfig.awaitReviews === true),
+    mergeReadyValidation.run(validationConfig, pullRequest, labelRegistry),
     signedClaValidation.run(validationConfig, pullRequest),
     pendingStateValidation.run(validationConfig, pullRequest),
-    breakingChangeInfoValidation.run(validationConfig, commitsInPr, labels),
+    breakingChangeInfoValidation.run(validationConfig, commitsInPr, labels, labelRegistry),
     passingCiValidation.run(validationConfig, pullRequest),
-    enforcedStatusesValidation.run(validationConfig, pullRequest, ngDevConfig.pullRequest),
+    enforcedStatusesValidation.run(validationConfig, pullRequest, ngDevConfig.pullRequest, target.branches),
     isolatedSeparateFilesValidation.run(validationConfig, ngDevConfig, pullRequest.number, gitClient2),
-    enforceTestedValidation.run(validationConfig, pullRequest, gitClient2)
+    enforceTestedValidation.run(validationConfig, pullRequest, gitClient2, labelRegistry),
+    codeOwnerApprovalValidation.run(validationConfig, pullRequest, gitClient2, validationConfig.awaitReviews === true),
+    noMergeFreezeValidation.run(validationConfig, labels, target.branches, ngDevConfig.pullRequest.freezeWindows ?? []),
+    pullRequestSizeValidation.run(validationConfig, pullRequest, labels, target.label, ngDevConfig.pullRequest.sizeLimits ?? {}, gitClient2)
   ];
   if (activeReleaseTrains !== null) {
-    validationPromises.push(changesAllowForTargetLabelValidation.run(validationConfig, commitsInPr, target.label, ngDevConfig.pullRequest, activeReleaseTrains, labels, pullRequest));
+    validationPromises.push(changesAllowForTargetLabelValidation.run(validationConfig, commitsInPr, target.label, ngDevConfig.pullRequest, activeReleaseTrains, labels, pullRequest, labelRegistry));
+    validationPromises.push(featureFreezeRestrictionsValidation.run(validationConfig, target.branches, activeReleaseTrains, ngDevConfig.pullRequest, pullRequest, gitClient2));
+  }
+  for (const customValidation of ngDevConfig.pullRequest.customValidations ?? []) {
+    validationPromises.push(customValidation.run({ [customValidation.name]: true, ...validationConfig }, pullRequest, commitsInPr, target, gitClient2));
   }
   const results = await Promise.all(validationPromises);
   return results.filter((result) => result !== null);
 }
-async function assertValidPullRequest(originalPullRequest, validationConfig, ngDevConfig, activeReleaseTrains, target, gitClient2) {
+function getPullRequestValidationResults(failures, validationConfig, ngDevConfig, activeReleaseTrains) {
+  const customValidations = ngDevConfig.pullRequest.customValidations ?? [];
+  const validations = [
+    minimumReviewsValidation,
+    completedReviewsValidation,
+    mergeReadyValidation,
+    signedClaValidation,
+    pendingStateValidation,
+    breakingChangeInfoValidation,
+    passingCiValidation,
+    enforcedStatusesValidation,
+    isolatedSeparateFilesValidation,
+    enforceTestedValidation,
+    codeOwnerApprovalValidation,
+    noMergeFreezeValidation,
+    pullRequestSizeValidation,
+    changesAllowForTargetLabelValidation,
+    featureFreezeRestrictionsValidation,
+    ...customValidations
+  ];
+  const names = [...new Set(validations.map(({ name }) => name))];
+  return names.map((name) => {
+    const validationFailures = failures.filter((f) => f.validationName === name);
+    if (validationFailures.length > 0) {
+      return { name, status: "failed", failures: validationFailures };
+    }
+    const isEnabled = validationConfig[name] ?? customValidations.some((v) => v.name === name);
+    const isApplicable = activeReleaseTrains !== null || name !== changesAllowForTargetLabelValidation.name && name !== featureFreezeRestrictionsValidation.name;
+    return { name, status: isEnabled && isApplicable ? "passed" : "skipped", failures: [] };
+  });
+}
+async function assertValidPullRequest(originalPullRequest, validationConfig, ngDevConfig, activeReleaseTrains, target, gitClient2, fetchPullRequest = () => fetchPullRequestFromGithub(gitClient2, originalPullRequest.number)) {
   let pullRequest = originalPullRequest;
   let spinner;
   const maxAttempts = 60;
@@ -32663,7 +32924,7 @@ async function assertValidPullRequest(originalPullRequest, validationConfig, ngD
       spinner.update(spinnerText);
     }
     await setTimeout2(6e4);
-    const freshPr = await fetchPullRequestFromGithub(gitClient2, originalPullRequest.number);
+    const freshPr = await fetchPullRequest();
     if (!freshPr) {
       throw new Error("Failed to re-fetch pull request data");
     }
@@ -32672,148 +32933,26 @@ async function assertValidPullRequest(originalPullRequest, validationConfig, ngD
   }
 }
 
-// ng-dev/pr/merge/strategies/strategy.js
-var TEMP_PR_HEAD_BRANCH = "merge_pr_head";
-var MergeStrategy = class {
-  constructor(git) {
-    this.git = git;
-  }
-  async prepare(pullRequest) {
-    this.fetchTargetBranches(pullRequest.targetBranches, `pull/${pullRequest.prNumber}/head:${TEMP_PR_HEAD_BRANCH}`);
-    const fetchedHeadSha = this.git.run(["rev-parse", TEMP_PR_HEAD_BRANCH]).stdout.trim();
-    if (fetchedHeadSha !== pullRequest.headSha) {
-      throw new MismatchedPullRequestHeadShaFatalError(pullRequest.headSha, fetchedHeadSha);
-    }
-  }
-  async check(pullRequest) {
-    const { githubTargetBranch, targetBranches, requiredBaseSha } = pullRequest;
-    if (targetBranches.every((t) => t !== githubTargetBranch)) {
-      throw new MismatchedTargetBranchFatalError(targetBranches);
-    }
-    if (requiredBaseSha && !this.git.hasCommit(TEMP_PR_HEAD_BRANCH, requiredBaseSha)) {
-      throw new UnsatisfiedBaseShaFatalError();
-    }
-    await this._assertMergeableOrThrow(pullRequest, targetBranches);
-  }
-  async cleanup(pullRequest) {
-    pullRequest.targetBranches.forEach((branchName) => this.git.run(["branch", "-D", this.getLocalTargetBranchName(branchName)]));
-    this.git.run(["branch", "-D", TEMP_PR_HEAD_BRANCH]);
-  }
-  getLocalTargetBranchName(targetBranch) {
-    return `merge_pr_target_${targetBranch.replace(/\//g, "_")}`;
-  }
-  cherryPickIntoTargetBranches(revisionRange, targetBranches, options = {}) {
-    const cherryPickArgs = [revisionRange];
-    const failedBranches = [];
-    const revisionCountOutput = this.git.run(["rev-list", "--count", revisionRange]);
-    const revisionCount = Number(revisionCountOutput.stdout.trim());
-    if (isNaN(revisionCount)) {
-      throw new FatalMergeToolError("Unexpected revision range for cherry-picking. No commit count could be determined.");
-    }
-    if (options.linkToOriginalCommits) {
-      cherryPickArgs.push("-x");
-    }
-    for (const branchName of targetBranches) {
-      const localTargetBranch = this.getLocalTargetBranchName(branchName);
-      this.git.run(["checkout", localTargetBranch]);
-      const cherryPickResult = this.git.runGraceful(["cherry-pick", ...cherryPickArgs]);
-      if (cherryPickResult.status !== 0) {
-        this.git.runGraceful(["cherry-pick", "--abort"]);
-        failedBranches.push(branchName);
-      }
-      if (options.dryRun) {
-        this.git.run(["reset", "--hard", `HEAD~${revisionCount}`]);
-      }
-    }
-    return failedBranches;
-  }
-  fetchTargetBranches(names, ...extraRefspecs) {
-    const fetchRefspecs = names.map((targetBranch) => {
-      const localTargetBranch = this.getLocalTargetBranchName(targetBranch);
-      return `refs/heads/${targetBranch}:${localTargetBranch}`;
-    });
-    this.git.run([
-      "fetch",
-      "-q",
-      "-f",
-      this.git.getRepoGitUrl(),
-      ...fetchRefspecs,
-      ...extraRefspecs
-    ]);
-  }
-  pushTargetBranchesUpstream(names) {
-    const pushRefspecs = names.map((targetBranch) => {
-      const localTargetBranch = this.getLocalTargetBranchName(targetBranch);
-      return `${localTargetBranch}:refs/heads/${targetBranch}`;
-    });
-    this.git.run(["push", "--atomic", this.git.getRepoGitUrl(), ...pushRefspecs]);
-  }
-  async _assertMergeableOrThrow({ revisionRange }, targetBranches) {
-    const failedBranches = this.cherryPickIntoTargetBranches(revisionRange, targetBranches, {
-      dryRun: true
-    });
-    if (failedBranches.length) {
-      throw new MergeConflictsFatalError(failedBranches);
-    }
-  }
-  async createMergeComment(pullRequest, targetBranches) {
-    const banchesAndSha = targetBranches.map((targetBranch) => {
-      const localBranch = this.getLocalTargetBranchName(targetBranch);
-      const sha = this.git.run(["rev-parse", localBranch]).stdout.trim();
-      return [targetBranch, sha];
-    });
-    await this.git.github.issues.createComment({
-      ...this.git.remoteParams,
-      issue_number: pullRequest.prNumber,
-      body: `This PR was merged into the repository. The changes were merged into the following branches:
-
-${banchesAndSha.map(([branch, sha]) => `- ${branch}: ${sha}`).join("\n")}`
-    });
-  }
-  async closeLinkedIssues({ closingIssuesReferences, githubTargetBranch }) {
-    if (githubTargetBranch === this.git.mainBranchName) {
-      return;
-    }
-    for (const { number: issue_number, state } of closingIssuesReferences) {
-      if (state === "CLOSED") {
-        continue;
-      }
-      await this.git.github.issues.update({
-        ...this.git.remoteParams,
-        issue_number,
-        state_reason: "completed",
-        state: "closed"
-      });
-    }
-  }
-};
-
 // ng-dev/pr/merge/pull-request.js
-async function loadAndValidatePullRequest({ git, config: config2 }, prNumber, validationConfig) {
+async function loadAndValidatePullRequest({ git, config: config2 }, prNumber, validationConfig, stackBaseRefName = null) {
   const prData = await fetchPullRequestFromGithub(git, prNumber);
   if (prData === null) {
     throw new FatalMergeToolError("Pull request could not be found.");
   }
   const labels = prData.labels.nodes.map((l) => l.name);
-  const githubTargetBranch = prData.baseRefName;
-  const { mainBranchName, name, owner } = config2.github;
-  let activeReleaseTrains = null;
-  let target = null;
-  if (config2.pullRequest.__noTargetLabeling) {
-    target = { branches: [config2.github.mainBranchName], label: targetLabels["TARGET_MAJOR"] };
-  } else {
-    activeReleaseTrains = await ActiveReleaseTrains.fetch({
-      name,
-      nextBranchName: mainBranchName,
-      owner,
-      api: git.github
-    });
-    target = await getTargetBranchesAndLabelForPullRequest(activeReleaseTrains, git.github, config2, labels, githubTargetBranch);
-  }
-  const validationFailures = await assertValidPullRequest(prData, validationConfig, config2, activeReleaseTrains, target, git);
+  const isStacked = stackBaseRefName !== null && prData.baseRefName !== stackBaseRefName;
+  const githubTargetBranch = isStacked ? stackBaseRefName : prData.baseRefName;
+  const targetedPrData = { ...prData, baseRefName: githubTargetBranch };
+  const { activeReleaseTrains, target } = await resolveTargetForPullRequest({ git, config: config2 }, targetedPrData);
+  const validationFailures = await assertValidPullRequest(targetedPrData, validationConfig, config2, activeReleaseTrains, target, git, async () => {
+    const freshPrData = await fetchPullRequestFromGithub(git, prNumber);
+    return freshPrData && { ...freshPrData, baseRefName: githubTargetBranch };
+  });
   const requiredBaseSha = config2.pullRequest.requiredBaseCommits && config2.pullRequest.requiredBaseCommits[githubTargetBranch];
-  const needsCommitMessageFixup = labels.includes(mergeLabels["MERGE_FIX_COMMIT_MESSAGE"].name);
-  const hasCaretakerNote = labels.includes(mergeLabels["MERGE_CARETAKER_NOTE"].name);
+  const labelRegistry = getLabelRegistry(config2);
+  const hasRegistryLabel = (key) => labelRegistry[key] !== void 0 && labels.includes(labelRegistry[key].name);
+  const needsCommitMessageFixup = hasRegistryLabel("MERGE_FIX_COMMIT_MESSAGE");
+  const hasCaretakerNote = hasRegistryLabel("MERGE_CARETAKER_NOTE");
   const baseSha = prData.baseCommitInfo.nodes[0].commit.parents.nodes[0].oid;
   const revisionRange = `${baseSha}..${TEMP_PR_HEAD_BRANCH}`;
   return {
@@ -32828,12 +32967,33 @@ async function loadAndValidatePullRequest({ git, config: config2 }, prNumber, va
     hasCaretakerNote,
     validationFailures,
     targetBranches: target.branches,
+    targetLabel: target.label.name,
+    approvers: [...new Set(prData.reviews.nodes.map(({ author }) => author.login))],
     title: prData.title,
     commitCount: prData.commits.totalCount,
     headSha: prData.headRefOid,
-    closingIssuesReferences: prData.closingIssuesReferences.nodes
+    closingIssuesReferences: prData.closingIssuesReferences.nodes,
+    stackParentBranch: isStacked ? prData.baseRefName : null
   };
 }
+async function resolveTargetForPullRequest({ git, config: config2 }, prData) {
+  const { mainBranchName, name, owner } = config2.github;
+  if (config2.pullRequest.__noTargetLabeling) {
+    return {
+      activeReleaseTrains: null,
+      target: { branches: [mainBranchName], label: targetLabels["TARGET_MAJOR"] }
+    };
+  }
+  const activeReleaseTrains = await ActiveReleaseTrains.fetch({
+    name,
+    nextBranchName: mainBranchName,
+    owner,
+    api: git.github
+  });
+  const labels = prData.labels.nodes.map((l) => l.name);
+  const target = await getTargetBranchesAndLabelForPullRequest(activeReleaseTrains, git.github, config2, labels, prData.baseRefName);
+  return { activeReleaseTrains, target };
+}
 
 // ng-dev/pr/merge/strategies/autosquash-merge.js
 import { setTimeout as sleep } from "node:timers/promises";
@@ -32842,39 +33002,44 @@ import { fileURLToPath as fileURLToPath3 } from "node:url";
 var AutosquashMergeStrategy = class extends MergeStrategy {
   async check(pullRequest) {
     const originalHeadSha = this.git.run(["rev-parse", TEMP_PR_HEAD_BRANCH]).stdout.trim();
-    const branchOrRevisionBeforeRebase = this.git.getCurrentBranchOrRevision();
     try {
-      try {
-        this.git.run(["rebase", "--interactive", "--autosquash", pullRequest.baseSha, TEMP_PR_HEAD_BRANCH], {
-          env: { ...process.env, GIT_SEQUENCE_EDITOR: "true" }
-        });
-      } catch (e) {
-        this.git.runGraceful(["rebase", "--abort"]);
-        throw new MergeConflictsFatalError([]);
-      }
+      await this.runInWorktree(TEMP_PR_HEAD_BRANCH, (worktreePath) => {
+        try {
+          this.git.run(["rebase", "--interactive", "--autosquash", pullRequest.baseSha], {
+            cwd: worktreePath,
+            env: { ...process.env, GIT_SEQUENCE_EDITOR: "true" }
+          });
+        } catch (e) {
+          this.git.runGraceful(["rebase", "--abort"], { cwd: worktreePath });
+          throw new MergeConflictsFatalError([]);
+        }
+      });
       await super.check(pullRequest);
     } finally {
       this.git.run(["update-ref", `refs/heads/${TEMP_PR_HEAD_BRANCH}`, originalHeadSha]);
-      this.git.run(["checkout", "-f", branchOrRevisionBeforeRebase]);
     }
   }
   async merge(pullRequest) {
     const { githubTargetBranch, targetBranches, revisionRange, needsCommitMessageFixup, baseSha, prNumber } = pullRequest;
-    const branchOrRevisionBeforeRebase = this.git.getCurrentBranchOrRevision();
+    if (needsCommitMessageFixup && !this.interactive) {
+      throw new NonInteractiveMergeToolError("The commit message of the pull request needs to be edited.");
+    }
     const rebaseEnv = needsCommitMessageFixup ? void 0 : { ...process.env, GIT_SEQUENCE_EDITOR: "true" };
-    this.git.run(["rebase", "--interactive", "--autosquash", baseSha, TEMP_PR_HEAD_BRANCH], {
-      stdio: "inherit",
-      env: rebaseEnv
+    await this.runInWorktree(TEMP_PR_HEAD_BRANCH, (worktreePath) => {
+      this.git.run(["rebase", "--interactive", "--autosquash", baseSha], {
+        cwd: worktreePath,
+        stdio: "inherit",
+        env: rebaseEnv
+      });
+      this.git.run([
+        "filter-branch",
+        "-f",
+        "--msg-filter",
+        `${getCommitMessageFilterScriptPath2()} ${prNumber}`,
+        revisionRange
+      ], { cwd: worktreePath, env: this.getCommitMessageFilterEnv(pullRequest) });
     });
-    this.git.run(["checkout", "-f", branchOrRevisionBeforeRebase]);
-    this.git.run([
-      "filter-branch",
-      "-f",
-      "--msg-filter",
-      `${getCommitMessageFilterScriptPath2()} ${prNumber}`,
-      revisionRange
-    ]);
-    const failedBranches = this.cherryPickIntoTargetBranches(revisionRange, targetBranches);
+    const failedBranches = await this.cherryPickIntoTargetBranchesInWorktrees(revisionRange, targetBranches);
     if (failedBranches.length) {
       throw new MergeConflictsFatalError(failedBranches);
     }
@@ -32896,14 +33061,59 @@ function getCommitMessageFilterScriptPath2() {
   return join8(bundlesDir, "./pr/merge/strategies/commit-message-filter.mjs");
 }
 
+// ng-dev/pr/merge/strategies/rebase-fast-forward-merge.js
+var RebaseFastForwardMergeStrategy = class extends MergeStrategy {
+  async check(pullRequest) {
+    const mergeCommits = this.git.run(["rev-list", "--merges", pullRequest.revisionRange]).stdout.trim();
+    if (mergeCommits !== "") {
+      throw new FatalMergeToolError("Pull request contains merge commits, which cannot be merged without creating merge commits. Please rebase the PR.");
+    }
+    await super.check(pullRequest);
+  }
+  async merge(pullRequest) {
+    const { githubTargetBranch, targetBranches, revisionRange, needsCommitMessageFixup, prNumber } = pullRequest;
+    if (needsCommitMessageFixup) {
+      throw new FatalMergeToolError(`Unable to fixup commit message of pull request. Commit messages cannot be modified when merging using the "rebase-fast-forward" strategy.`);
+    }
+    await this.runInWorktree(TEMP_PR_HEAD_BRANCH, (worktreePath) => {
+      this.git.run([
+        "filter-branch",
+        "-f",
+        "--msg-filter",
+        `${getCommitMessageFilterScriptPath2()} ${prNumber}`,
+        revisionRange
+      ], { cwd: worktreePath, env: this.getCommitMessageFilterEnv(pullRequest) });
+    });
+    const failedBranches = await this.cherryPickIntoTargetBranchesInWorktrees(revisionRange, targetBranches);
+    if (failedBranches.length) {
+      throw new MergeConflictsFatalError(failedBranches);
+    }
+    this.pushTargetBranchesUpstream(targetBranches);
+    await this.createMergeComment(pullRequest, targetBranches);
+    if (githubTargetBranch !== this.git.mainBranchName) {
+      await this.git.github.pulls.update({
+        ...this.git.remoteParams,
+        pull_number: prNumber,
+        state: "closed"
+      });
+      await this.closeLinkedIssues(pullRequest);
+    }
+  }
+};
+
 // ng-dev/pr/merge/strategies/api-merge.js
 var COMMIT_HEADER_SEPARATOR = "\n\n";
+var SQUASH_MESSAGE_SECTION_START = "<!-- squash-message-start -->";
+var SQUASH_MESSAGE_SECTION_END = "<!-- squash-message-end -->";
 var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
   constructor(git, config2) {
     super(git);
     this.config = config2;
   }
   async merge(pullRequest) {
+    if (pullRequest.stackParentBranch !== null) {
+      return super.merge(pullRequest);
+    }
     const { githubTargetBranch, prNumber, needsCommitMessageFixup, targetBranches, headSha } = pullRequest;
     const cherryPickTargetBranches = targetBranches.filter((b) => b !== githubTargetBranch);
     const commits = await this.getPullRequestCommits(pullRequest);
@@ -32924,9 +33134,11 @@ var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
       const hasOnlySquashForOneCommit = normalCommitsCount === 1 && squashCount > 1;
       if (hasOnlyFixUpForOneCommit) {
         mergeOptions.merge_method = "squash";
-        const [title, message = ""] = commits[0].message.split(COMMIT_HEADER_SEPARATOR);
-        mergeOptions.commit_title = title;
-        mergeOptions.commit_message = message;
+        if (!this.config.squashMessageFromDescription) {
+          const [title, message = ""] = commits[0].message.split(COMMIT_HEADER_SEPARATOR);
+          mergeOptions.commit_title = title;
+          mergeOptions.commit_message = this.appendMergeCommitTrailers(pullRequest, message);
+        }
       } else if (hasOnlySquashForOneCommit) {
         mergeOptions.merge_method = "squash";
         await this._promptCommitMessageEdit(pullRequest, mergeOptions);
@@ -32938,6 +33150,9 @@ var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
       }
       await this._promptCommitMessageEdit(pullRequest, mergeOptions);
     }
+    if (mergeOptions.merge_method === "squash" && this.config.squashMessageFromDescription && mergeOptions.commit_title === void 0) {
+      await this.setSquashCommitMessage(pullRequest, mergeOptions, await this.getDefaultSquashCommitMessage(pullRequest));
+    }
     let mergeStatusCode;
     let mergeResponseMessage;
     let targetSha;
@@ -32964,14 +33179,17 @@ var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
     if (githubTargetBranch !== this.git.mainBranchName) {
       await this.closeLinkedIssues(pullRequest);
     }
-    this.git.run(["checkout", TEMP_PR_HEAD_BRANCH]);
     this.fetchTargetBranches([githubTargetBranch]);
+    const pullRequestCommitCount = mergeOptions.merge_method === "rebase" ? pullRequest.commitCount : 1;
+    if (this.journal !== null) {
+      this.journal.recordCherryPick(githubTargetBranch, this.git.run(["rev-parse", `${targetSha}~${pullRequestCommitCount}`]).stdout.trim(), targetSha);
+      this.journal.recordPushed([githubTargetBranch]);
+    }
     if (!cherryPickTargetBranches.length) {
       await this.createMergeComment(pullRequest, targetBranches);
       return;
     }
-    const pullRequestCommitCount = mergeOptions.merge_method === "rebase" ? pullRequest.commitCount : 1;
-    const failedBranches = await this.cherryPickIntoTargetBranches(`${targetSha}~${pullRequestCommitCount}..${targetSha}`, cherryPickTargetBranches, {
+    const failedBranches = await this.cherryPickIntoTargetBranchesInWorktrees(`${targetSha}~${pullRequestCommitCount}..${targetSha}`, cherryPickTargetBranches, {
       linkToOriginalCommits: true
     });
     if (failedBranches.length) {
@@ -32981,23 +33199,71 @@ var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
     await this.createMergeComment(pullRequest, targetBranches);
   }
   async _promptCommitMessageEdit(pullRequest, mergeOptions) {
+    if (!this.interactive) {
+      throw new NonInteractiveMergeToolError("The commit message of the pull request needs to be edited.");
+    }
     const commitMessage = await this.getDefaultSquashCommitMessage(pullRequest);
     const result = await Prompt.editor({
       message: "Please update the commit message",
       default: commitMessage
     });
-    const [newTitle, ...newMessage] = result.split(COMMIT_HEADER_SEPARATOR);
-    mergeOptions.commit_title = `${newTitle} (#${pullRequest.prNumber})`;
-    mergeOptions.commit_message = newMessage.join(COMMIT_HEADER_SEPARATOR);
+    await this.setSquashCommitMessage(pullRequest, mergeOptions, result);
+  }
+  async setSquashCommitMessage({ prNumber }, mergeOptions, commitMessage) {
+    const [newTitle, ...newMessage] = commitMessage.split(COMMIT_HEADER_SEPARATOR);
+    const title = `${newTitle} (#${prNumber})`;
+    const message = newMessage.join(COMMIT_HEADER_SEPARATOR);
+    if (this.config.squashMessageFromDescription) {
+      const { valid, errors } = await validateCommitMessage(`${title}${COMMIT_HEADER_SEPARATOR}${message}`);
+      if (!valid) {
+        printValidationErrors(errors);
+        throw new FatalMergeToolError("The squash commit message for the pull request is not valid. Please update the pull request title or description.");
+      }
+    }
+    mergeOptions.commit_title = title;
+    mergeOptions.commit_message = message;
   }
   async getDefaultSquashCommitMessage(pullRequest) {
+    if (this.config.squashMessageFromDescription) {
+      return this.getSquashCommitMessageFromDescription(pullRequest);
+    }
     const commits = await this.getPullRequestCommits(pullRequest);
     const messageBase = `${pullRequest.title}${COMMIT_HEADER_SEPARATOR}`;
     if (commits.length <= 1) {
-      return `${messageBase}${commits[0].parsed.body}`;
+      return this.appendMergeCommitTrailers(pullRequest, `${messageBase}${commits[0].parsed.body}`);
     }
     const joinedMessages = commits.map((c) => `* ${c.message}`).join(COMMIT_HEADER_SEPARATOR);
-    return `${messageBase}${joinedMessages}`;
+    return this.appendMergeCommitTrailers(pullRequest, `${messageBase}${joinedMessages}`);
+  }
+  appendMergeCommitTrailers(pullRequest, message) {
+    const trailers = this.getMergeCommitTrailers(pullRequest);
+    if (trailers === null || trailers.length === 0) {
+      return message;
+    }
+    const trailerLines = trailers.map(({ value }) => value).join("\n");
+    return message === "" ? trailerLines : `${message}${COMMIT_HEADER_SEPARATOR}${trailerLines}`;
+  }
+  async getSquashCommitMessageFromDescription(pullRequest) {
+    const commits = await this.getPullRequestCommits(pullRequest);
+    const { data } = await this.git.github.pulls.get({
+      ...this.git.remoteParams,
+      pull_number: pullRequest.prNumber
+    });
+    const description = (data.body ?? "").replace(/\r\n/g, "\n");
+    const sectionStart = description.indexOf(SQUASH_MESSAGE_SECTION_START);
+    const sectionEnd = description.indexOf(SQUASH_MESSAGE_SECTION_END, sectionStart);
+    const section = sectionStart !== -1 && sectionEnd !== -1 ? description.slice(sectionStart + SQUASH_MESSAGE_SECTION_START.length, sectionEnd).trim() : "";
+    const notes = [
+      ...commits.flatMap(({ parsed }) => parsed.breakingChanges.map(({ text }) => `BREAKING CHANGE: ${text.trim()}`)),
+      ...commits.flatMap(({ parsed }) => parsed.deprecations.map(({ text }) => `DEPRECATED: ${text.trim()}`))
+    ];
+    const trailers = this.getMergeCommitTrailers(pullRequest) ?? [];
+    return [
+      pullRequest.title,
+      section,
+      ...new Set(notes),
+      trailers.map(({ value }) => value).join("\n")
+    ].filter((part) => part !== "").join(COMMIT_HEADER_SEPARATOR);
   }
   getMergeActionFromPullRequest({ labels }) {
     if (this.config.labels) {
@@ -33046,36 +33312,511 @@ var GithubApiMergeStrategy = class extends AutosquashMergeStrategy {
   }
 };
 
+// ng-dev/pr/merge/merge-report.js
+var MergeExitCode;
+(function(MergeExitCode2) {
+  MergeExitCode2[MergeExitCode2["SUCCESS"] = 0] = "SUCCESS";
+  MergeExitCode2[MergeExitCode2["ERROR"] = 1] = "ERROR";
+  MergeExitCode2[MergeExitCode2["VALIDATION_FAILURE"] = 2] = "VALIDATION_FAILURE";
+  MergeExitCode2[MergeExitCode2["MERGE_CONFLICTS"] = 3] = "MERGE_CONFLICTS";
+  MergeExitCode2[MergeExitCode2["USER_ABORTED"] = 4] = "USER_ABORTED";
+})(MergeExitCode || (MergeExitCode = {}));
+var MergeReport = class {
+  constructor(prNumber, dryRun) {
+    this.prNumber = prNumber;
+    this.dryRun = dryRun;
+    this.outcome = null;
+    this.message = null;
+    this.exitCode = MergeExitCode.SUCCESS;
+    this.validationFailures = [];
+    this.targetLabel = null;
+    this.targetBranches = [];
+    this.strategy = null;
+    this.commits = {};
+    this.closedIssues = [];
+  }
+  recordPullRequest({ validationFailures, targetLabel, targetBranches }) {
+    this.validationFailures = validationFailures.map(({ validationName, message, canBeForceIgnored, isFinal }) => ({
+      validationName,
+      message,
+      canBeForceIgnored,
+      isFinal
+    }));
+    this.targetLabel = targetLabel;
+    this.targetBranches = [...targetBranches];
+  }
+  recordStrategy(strategy) {
+    this.strategy = strategy.constructor.name;
+  }
+  recordMerge(strategy, { targetBranches }) {
+    this.targetBranches = [...targetBranches];
+    this.commits = Object.fromEntries(strategy.getLocalTargetBranchShas(targetBranches));
+    this.closedIssues = [...strategy.closedIssues];
+  }
+  recordSuccess() {
+    this.outcome = "success";
+    this.exitCode = MergeExitCode.SUCCESS;
+  }
+  recordError(e) {
+    this.outcome = e?.constructor?.name ?? "Error";
+    this.message = e instanceof InvalidTargetBranchError || e instanceof InvalidTargetLabelError ? e.failureMessage : e?.message ?? null;
+    this.exitCode = getMergeExitCodeForError(e);
+  }
+  isCompleted() {
+    return this.outcome !== null;
+  }
+  toJSON() {
+    return {
+      prNumber: this.prNumber,
+      dryRun: this.dryRun,
+      outcome: this.outcome,
+      message: this.message,
+      exitCode: this.exitCode,
+      validationFailures: this.validationFailures,
+      targetLabel: this.targetLabel,
+      targetBranches: this.targetBranches,
+      strategy: this.strategy,
+      commits: this.commits,
+      closedIssues: this.closedIssues
+    };
+  }
+};
+function getMergeExitCodeForError(e) {
+  if (e instanceof UserAbortedMergeToolError) {
+    return MergeExitCode.USER_ABORTED;
+  }
+  if (e instanceof MergeConflictsFatalError) {
+    return MergeExitCode.MERGE_CONFLICTS;
+  }
+  if (e instanceof PullRequestValidationError || e instanceof InvalidTargetBranchError || e instanceof InvalidTargetLabelError) {
+    return MergeExitCode.VALIDATION_FAILURE;
+  }
+  return MergeExitCode.ERROR;
+}
+
+// ng-dev/pr/merge/post-merge-actions.js
+async function runPostMergeActions(git, postMergeConfig, pullRequest, targetBranchShas) {
+  const { removeLabels = [], addLabels = [], comment, dispatchWorkflow, run } = postMergeConfig;
+  const issueParams = { ...git.remoteParams, issue_number: pullRequest.prNumber };
+  const actions = [];
+  for (const name of removeLabels.filter((label) => pullRequest.labels.includes(label))) {
+    actions.push([`remove the "${name}" label`, () => git.github.issues.removeLabel({ ...issueParams, name })]);
+  }
+  if (addLabels.length > 0) {
+    actions.push([`add the ${addLabels.map((label) => `"${label}"`).join(", ")} label(s)`, () => git.github.issues.addLabels({ ...issueParams, labels: addLabels })]);
+  }
+  if (comment !== void 0) {
+    actions.push(["post the merge comment", () => git.github.issues.createComment({
+      ...issueParams,
+      body: expandPostMergeTemplate(comment, pullRequest, targetBranchShas)
+    })]);
+  }
+  if (dispatchWorkflow !== void 0) {
+    const { workflow, ref = pullRequest.githubTargetBranch, inputs = {} } = dispatchWorkflow;
+    actions.push([`dispatch the "${workflow}" workflow`, () => git.github.rest.actions.createWorkflowDispatch({
+      ...git.remoteParams,
+      workflow_id: workflow,
+      ref,
+      inputs: Object.fromEntries(Object.entries(inputs).map(([key, value]) => [key, expandPostMergeTemplate(value, pullRequest, targetBranchShas)]))
+    })]);
+  }
+  if (run !== void 0) {
+    actions.push(["run the custom post-merge action", () => run(pullRequest, Object.fromEntries(targetBranchShas))]);
+  }
+  for (const [description, action] of actions) {
+    try {
+      await action();
+    } catch (e) {
+      Log.warn(`  \u26A0  Failed to ${description} after merging pull request #${pullRequest.prNumber}.`);
+      Log.debug(e);
+    }
+  }
+}
+function expandPostMergeTemplate(template, { prNumber, url, targetLabel, targetBranches }, targetBranchShas) {
+  const values = {
+    prNumber: `${prNumber}`,
+    prUrl: url,
+    targetLabel,
+    targetBranches: targetBranches.join(", "),
+    shas: targetBranchShas.map(([branch, sha]) => `- ${branch}: ${sha}`).join("\n")
+  };
+  return template.replace(/\{(prNumber|prUrl|targetLabel|targetBranches|shas)\}/g, (_, key) => values[key]);
+}
+
 // ng-dev/pr/merge/merge-tool.js
+import { setTimeout as sleep2 } from "node:timers/promises";
+var whenReadyInitialPollInterval = 3e4;
+var whenReadyMaxPollInterval = 3e5;
 var defaultPullRequestMergeFlags = {
   branchPrompt: true,
   forceManualBranches: false,
   dryRun: false,
   ignorePendingReviews: false,
-  waitForValidations: false
+  waitForValidations: false,
+  json: false,
+  stack: false,
+  overrideMergeMode: false,
+  interactive: true
 };
 var MergeTool = class {
   constructor(config2, git, flags) {
     this.config = config2;
     this.git = git;
+    this.reports = [];
     this.flags = { ...defaultPullRequestMergeFlags, ...flags };
   }
-  async merge(prNumber, partialValidationConfig) {
-    const validationConfig = createPullRequestValidationConfig({
+  async merge(prNumber, partialValidationConfig, stackBaseRefName = null) {
+    const report = new MergeReport(prNumber, this.flags.dryRun);
+    this.reports.push(report);
+    try {
+      await this.performMerge(prNumber, partialValidationConfig, report, stackBaseRefName);
+      report.recordSuccess();
+    } catch (e) {
+      report.recordError(e);
+      throw e;
+    }
+  }
+  async performMerge(prNumber, partialValidationConfig, report, stackBaseRefName) {
+    const validationConfig = this.createValidationConfig(partialValidationConfig);
+    this.assertLocalRepositoryCanMerge();
+    this.assertNoInterruptedMerge();
+    await this.confirmMergeAccess();
+    const pullRequest = await this.loadPullRequestForMerge(prNumber, validationConfig, report, stackBaseRefName);
+    const strategy = this.createMergeStrategy();
+    report.recordStrategy(strategy);
+    try {
+      await strategy.prepare(pullRequest);
+      Log.info();
+      Log.info(getTargetedBranchesMessage(pullRequest));
+      await strategy.check(pullRequest);
+      Log.info("");
+      Log.info(green(`     PR: ${bold(pullRequest.title)}`));
+      Log.info(green(`  \u2713  Pull request can be merged into all target branches.`));
+      Log.info();
+      if (this.flags.dryRun) {
+        Log.info(green(`  \u2713  Exiting due to dry run mode.`));
+        return;
+      }
+      if (!this.config.pullRequest.__noTargetLabeling && !this.flags.forceManualBranches && this.flags.branchPrompt && !await this.confirm({ message: getTargetedBranchesConfirmationPromptMessage() }, "The targeted branches of the pull request need to be confirmed. Use --no-branch-prompt to skip the confirmation.")) {
+        throw new UserAbortedMergeToolError();
+      }
+      await this.mergeWithJournal(strategy, pullRequest);
+      report.recordMerge(strategy, pullRequest);
+      Log.info(green(`  \u2713  Successfully merged the pull request: #${prNumber}`));
+      await this.recordMergeHistory(strategy, pullRequest);
+      await this.runPostMergeActions(strategy, pullRequest);
+    } finally {
+      await strategy.cleanup(pullRequest);
+    }
+  }
+  async mergeStack(stack, partialValidationConfig) {
+    const { baseRefName } = stack[0];
+    for (const { prNumber } of stack) {
+      await this.merge(prNumber, partialValidationConfig, baseRefName);
+    }
+  }
+  async mergeQueue(prNumbers, partialValidationConfig) {
+    const reports = prNumbers.map((prNumber) => new MergeReport(prNumber, this.flags.dryRun));
+    this.reports.push(...reports);
+    try {
+      return await this.performMergeQueue(prNumbers, partialValidationConfig, reports);
+    } catch (e) {
+      reports.filter((report) => !report.isCompleted()).forEach((report) => report.recordError(e));
+      throw e;
+    }
+  }
+  async performMergeQueue(prNumbers, partialValidationConfig, reports) {
+    const validationConfig = this.createValidationConfig(partialValidationConfig);
+    this.assertLocalRepositoryCanMerge();
+    this.assertNoInterruptedMerge();
+    await this.confirmMergeAccess();
+    const result = { merged: [], skipped: [], failed: [] };
+    const pullRequests = [];
+    const reportsByPrNumber = new Map(reports.map((report) => [report.prNumber, report]));
+    for (const prNumber of prNumbers) {
+      Log.info(`Validating pull request #${prNumber}..`);
+      const report = reportsByPrNumber.get(prNumber);
+      try {
+        pullRequests.push(await this.loadPullRequestForMerge(prNumber, validationConfig, report));
+      } catch (e) {
+        const reason = getMergeQueueFailureReason(e);
+        if (reason === null) {
+          throw e;
+        }
+        Log.error(`  \u2718  Pull request #${prNumber} cannot be merged: ${reason}`);
+        report.recordError(e);
+        result.failed.push({ prNumber, reason });
+      }
+    }
+    if (pullRequests.length === 0) {
+      return result;
+    }
+    Log.info();
+    for (const pullRequest of pullRequests) {
+      Log.info(getTargetedBranchesMessage(pullRequest));
+    }
+    Log.info();
+    if (!this.flags.dryRun && !this.config.pullRequest.__noTargetLabeling && !this.flags.forceManualBranches && this.flags.branchPrompt && !await this.confirm({ message: getMergeQueueConfirmationPromptMessage(pullRequests) }, "The targeted branches of the pull requests need to be confirmed. Use --no-branch-prompt to skip the confirmation.")) {
+      throw new UserAbortedMergeToolError();
+    }
+    for (const pullRequest of pullRequests) {
+      const { prNumber } = pullRequest;
+      const report = reportsByPrNumber.get(prNumber);
+      const strategy = this.createMergeStrategy();
+      report.recordStrategy(strategy);
+      try {
+        await strategy.prepare(pullRequest);
+        await strategy.check(pullRequest);
+        if (this.flags.dryRun) {
+          Log.info(green(`  \u2713  Pull request #${prNumber} can be merged into all target branches.`));
+        } else {
+          await this.mergeWithJournal(strategy, pullRequest);
+          report.recordMerge(strategy, pullRequest);
+          Log.info(green(`  \u2713  Successfully merged the pull request: #${prNumber}`));
+          await this.recordMergeHistory(strategy, pullRequest);
+          await this.runPostMergeActions(strategy, pullRequest);
+        }
+        report.recordSuccess();
+        result.merged.push({ prNumber, title: pullRequest.title, targetBranches: pullRequest.targetBranches });
+      } catch (e) {
+        if (e instanceof MergeConflictsFatalError) {
+          Log.warn(`  \u26A0  Skipping pull request #${prNumber} due to merge conflicts.`);
+          report.recordError(e);
+          result.skipped.push({ prNumber, reason: e.message });
+          continue;
+        }
+        const reason = getMergeQueueFailureReason(e);
+        if (reason === null || e instanceof UserAbortedMergeToolError || MergeJournal.load(this.git) !== null) {
+          throw e;
+        }
+        Log.error(`  \u2718  Could not merge pull request #${prNumber}: ${reason}`);
+        report.recordError(e);
+        result.failed.push({ prNumber, reason });
+      } finally {
+        await strategy.cleanup(pullRequest);
+      }
+    }
+    return result;
+  }
+  async mergeWhenReady(prNumbers, partialValidationConfig, timeoutMs) {
+    this.flags = { ...this.flags, branchPrompt: false, interactive: false };
+    const validationConfig = { ...this.createValidationConfig(partialValidationConfig), waitIfPending: false, awaitReviews: true };
+    this.assertLocalRepositoryCanMerge();
+    this.assertNoInterruptedMerge();
+    await this.confirmMergeAccess();
+    const result = { merged: [], skipped: [], failed: [] };
+    const deadline = Date.now() + timeoutMs;
+    const watched = new Set(prNumbers);
+    let pollInterval = whenReadyInitialPollInterval;
+    while (true) {
+      for (const prNumber of watched) {
+        let pullRequest;
+        try {
+          pullRequest = await loadAndValidatePullRequest(this, prNumber, validationConfig);
+        } catch (e) {
+          const reason = getMergeQueueFailureReason(e);
+          if (reason === null) {
+            throw e;
+          }
+          Log.error(`  \u2718  Pull request #${prNumber} cannot be merged: ${reason}`);
+          this.recordUnmergedPullRequest(prNumber, null, e);
+          result.failed.push({ prNumber, reason });
+          watched.delete(prNumber);
+          continue;
+        }
+        const finalFailures = pullRequest.validationFailures.filter((f) => f.isFinal);
+        const pendingFailures = pullRequest.validationFailures.filter((f) => !f.isFinal);
+        if (finalFailures.length > 0) {
+          const reason = finalFailures.map(({ message }) => message).join(" ");
+          Log.error(`  \u2718  Pull request #${prNumber} will not become ready: ${reason}`);
+          this.recordUnmergedPullRequest(prNumber, pullRequest, new PullRequestValidationError());
+          result.failed.push({ prNumber, reason });
+          watched.delete(prNumber);
+        } else if (pendingFailures.length > 0) {
+          Log.info(`Pull request #${prNumber} is not ready yet: ${pendingFailures.map(({ validationName }) => validationName).join(", ")}`);
+        } else {
+          Log.info(green(`  \u2713  Pull request #${prNumber} is ready to be merged.`));
+          watched.delete(prNumber);
+          await this.mergeReadyPullRequest(pullRequest, partialValidationConfig, result);
+        }
+      }
+      if (watched.size === 0) {
+        return result;
+      }
+      if (Date.now() + pollInterval > deadline) {
+        break;
+      }
+      Log.info(`Checking ${watched.size} pull request(s) again in ${pollInterval / 1e3} seconds..`);
+      await sleep2(pollInterval);
+      pollInterval = Math.min(pollInterval * 2, whenReadyMaxPollInterval);
+    }
+    for (const prNumber of watched) {
+      const reason = `Timed out waiting for the pull request to become ready after ${Math.round(timeoutMs / 6e4)} minutes.`;
+      Log.error(`  \u2718  Pull request #${prNumber}: ${reason}`);
+      this.recordUnmergedPullRequest(prNumber, null, new FatalMergeToolError(reason));
+      result.failed.push({ prNumber, reason });
+    }
+    return result;
+  }
+  async mergeReadyPullRequest({ prNumber, title }, partialValidationConfig, result) {
+    try {
+      await this.merge(prNumber, partialValidationConfig);
+      const { targetBranches } = this.reports[this.reports.length - 1];
+      result.merged.push({ prNumber, title, targetBranches });
+    } catch (e) {
+      const reason = getMergeQueueFailureReason(e);
+      if (reason === null || e instanceof UserAbortedMergeToolError || MergeJournal.load(this.git) !== null) {
+        throw e;
+      }
+      if (e instanceof MergeConflictsFatalError) {
+        Log.warn(`  \u26A0  Skipping pull request #${prNumber} due to merge conflicts.`);
+        result.skipped.push({ prNumber, reason });
+      } else {
+        Log.error(`  \u2718  Could not merge pull request #${prNumber}: ${reason}`);
+        result.failed.push({ prNumber, reason });
+      }
+    }
+  }
+  recordFailedPullRequests(prNumbers, error) {
+    for (const prNumber of prNumbers) {
+      if (!this.reports.some((report) => report.prNumber === prNumber)) {
+        this.recordUnmergedPullRequest(prNumber, null, error);
+      }
+    }
+  }
+  recordUnmergedPullRequest(prNumber, pullRequest, error) {
+    const report = new MergeReport(prNumber, this.flags.dryRun);
+    if (pullRequest !== null) {
+      report.recordPullRequest(pullRequest);
+    }
+    report.recordError(error);
+    this.reports.push(report);
+  }
+  async resume() {
+    this.assertLocalRepositoryCanMerge();
+    await this.confirmMergeAccess();
+    const journal = MergeJournal.load(this.git);
+    if (journal === null) {
+      throw new FatalMergeToolError("No interrupted merge was found that could be resumed.");
+    }
+    Log.info(getMergeJournalMessage(journal));
+    Log.info();
+    const prData = await fetchPullRequestFromGithub(this.git, journal.prNumber);
+    if (prData === null) {
+      throw new FatalMergeToolError("Pull request could not be found.");
+    }
+    if (prData.headRefOid !== journal.headSha) {
+      throw new MismatchedPullRequestHeadShaFatalError(journal.headSha, prData.headRefOid);
+    }
+    if (prData.state === "OPEN" && journal.getPushedBranches().length > 0) {
+      throw new StaleMergeJournalFatalError(`Pull request #${journal.prNumber} is still open even though it was pushed to ${journal.getPushedBranches().join(", ")}.`);
+    }
+    if (!await this.confirm({ message: "Do you want to finish merging into the remaining branches?", default: true }, "Finishing the interrupted merge needs to be confirmed.")) {
+      Log.info(getMergeJournalRevertMessage(journal));
+      if (await Prompt.confirm({ message: "Do you want to discard the record of the interrupted merge?" })) {
+        journal.delete();
+      }
+      throw new UserAbortedMergeToolError();
+    }
+    const strategy = this.createMergeStrategy();
+    try {
+      await strategy.resumeFromJournal(journal);
+    } catch (e) {
+      if (e instanceof FatalMergeToolError) {
+        Log.error(getMergeJournalRevertMessage(journal));
+      }
+      throw e;
+    } finally {
+      strategy.cleanupTargetBranches(journal.targetBranches);
+    }
+    const unresumableBranches = journal.getUnpushedBranches();
+    if (unresumableBranches.length) {
+      Log.error(getMergeJournalRevertMessage(journal));
+      throw new MergeConflictsFatalError(unresumableBranches);
+    }
+    journal.delete();
+    Log.info(green(`  \u2713  Successfully finished merging the pull request: #${journal.prNumber}`));
+  }
+  async mergeWithJournal(strategy, pullRequest) {
+    const journal = MergeJournal.start(this.git, pullRequest);
+    strategy.journal = journal;
+    try {
+      await strategy.merge(pullRequest);
+    } catch (e) {
+      if (journal.isPartiallyPushed()) {
+        Log.error(getMergeJournalMessage(journal));
+        Log.error(`Run "ng-dev pr merge --resume" to finish merging into the remaining branches.`);
+      } else {
+        journal.delete();
+      }
+      throw e;
+    }
+    journal.delete();
+  }
+  async recordMergeHistory(strategy, pullRequest) {
+    try {
+      const mergedBy = this.git.userType === "user" ? (await this.git.github.users.getAuthenticated()).data.login : "bot";
+      MergeHistory.open(this.git).append({
+        prNumber: pullRequest.prNumber,
+        title: pullRequest.title,
+        targetBranches: pullRequest.targetBranches,
+        shas: Object.fromEntries(strategy.getLocalTargetBranchShas(pullRequest.targetBranches)),
+        ignoredValidations: [...new Set(pullRequest.validationFailures.map(({ validationName }) => validationName))],
+        mergedBy,
+        mergedAt: (/* @__PURE__ */ new Date()).toISOString()
+      });
+    } catch (e) {
+      Log.warn(`  \u26A0  Unable to record the merge of #${pullRequest.prNumber} in the local merge history.`);
+      Log.debug(e);
+    }
+  }
+  async runPostMergeActions(strategy, pullRequest) {
+    const { postMerge } = this.config.pullRequest;
+    if (postMerge === void 0) {
+      return;
+    }
+    await runPostMergeActions(this.git, postMerge, pullRequest, strategy.getLocalTargetBranchShas(pullRequest.targetBranches));
+  }
+  assertNoInterruptedMerge() {
+    const journal = MergeJournal.load(this.git);
+    if (journal !== null) {
+      throw new FatalMergeToolError(`The merge of pull request #${journal.prNumber} was interrupted after pushing to some of its target branches. Run "ng-dev pr merge --resume" to finish it first.`);
+    }
+  }
+  createValidationConfig(partialValidationConfig) {
+    return createPullRequestValidationConfig({
       ...this.config.pullRequest.validators,
       ...partialValidationConfig,
       waitIfPending: this.flags.waitForValidations
     });
-    if (this.git.hasUncommittedChanges()) {
-      throw new FatalMergeToolError("Local working repository not clean. Please make sure there are no uncommitted changes.");
+  }
+  createMergeStrategy() {
+    const strategy = this.createConfiguredMergeStrategy();
+    strategy.mergeCommitTrailers = this.config.pullRequest.mergeCommitTrailers ?? null;
+    strategy.parallelCherryPicks = this.config.pullRequest.parallelCherryPicks ?? false;
+    strategy.interactive = this.flags.interactive;
+    return strategy;
+  }
+  createConfiguredMergeStrategy() {
+    const { mergeStrategy, githubApiMerge } = this.config.pullRequest;
+    if (typeof mergeStrategy === "function") {
+      return new mergeStrategy(this.git);
     }
+    if (mergeStrategy === "rebase-fast-forward") {
+      return new RebaseFastForwardMergeStrategy(this.git);
+    }
+    return githubApiMerge ? new GithubApiMergeStrategy(this.git, githubApiMerge) : new AutosquashMergeStrategy(this.git);
+  }
+  assertLocalRepositoryCanMerge() {
     if (this.git.isShallowRepo()) {
       throw new FatalMergeToolError(`Unable to perform merge in a local repository that is configured as shallow.
 Please convert the repository to a complete one by syncing with upstream.
 https://git-scm.com/docs/git-fetch#Documentation/git-fetch.txt---unshallow`);
     }
-    await this.confirmMergeAccess();
-    const pullRequest = await loadAndValidatePullRequest(this, prNumber, validationConfig);
+  }
+  async loadPullRequestForMerge(prNumber, validationConfig, report, stackBaseRefName = null) {
+    const pullRequest = await loadAndValidatePullRequest(this, prNumber, validationConfig, stackBaseRefName);
+    report?.recordPullRequest(pullRequest);
     if (pullRequest.validationFailures.length > 0) {
       Log.error(`Pull request did not pass one or more validation checks. Error:`);
       for (const failure of pullRequest.validationFailures) {
@@ -33087,7 +33828,7 @@ https://git-scm.com/docs/git-fetch#Documentation/git-fetch.txt---unshallow`);
         throw new PullRequestValidationError();
       }
       Log.info(yellow(`All discovered validations are non-fatal and can be forcibly ignored.`));
-      if (!await Prompt.confirm({
+      if (!this.flags.interactive || !await Prompt.confirm({
         message: "Do you want to forcibly ignore these validation failures?"
       })) {
         throw new PullRequestValidationError();
@@ -33096,36 +33837,13 @@ https://git-scm.com/docs/git-fetch#Documentation/git-fetch.txt---unshallow`);
     if (this.flags.forceManualBranches) {
       await this.updatePullRequestTargetedBranchesFromPrompt(pullRequest);
     }
-    if (pullRequest.hasCaretakerNote && !await Prompt.confirm({ message: getCaretakerNotePromptMessage(pullRequest) })) {
+    if (pullRequest.hasCaretakerNote && !await this.confirm({ message: getCaretakerNotePromptMessage(pullRequest) }, "Pull request has a caretaker note.")) {
       throw new UserAbortedMergeToolError();
     }
-    const strategy = this.config.pullRequest.githubApiMerge ? new GithubApiMergeStrategy(this.git, this.config.pullRequest.githubApiMerge) : new AutosquashMergeStrategy(this.git);
-    const previousBranchOrRevision = this.git.getCurrentBranchOrRevision();
-    try {
-      await strategy.prepare(pullRequest);
-      Log.info();
-      Log.info(getTargetedBranchesMessage(pullRequest));
-      await strategy.check(pullRequest);
-      Log.info("");
-      Log.info(green(`     PR: ${bold(pullRequest.title)}`));
-      Log.info(green(`  \u2713  Pull request can be merged into all target branches.`));
-      Log.info();
-      if (this.flags.dryRun) {
-        Log.info(green(`  \u2713  Exiting due to dry run mode.`));
-        return;
-      }
-      if (!this.config.pullRequest.__noTargetLabeling && !this.flags.forceManualBranches && this.flags.branchPrompt && !await Prompt.confirm({ message: getTargetedBranchesConfirmationPromptMessage() })) {
-        throw new UserAbortedMergeToolError();
-      }
-      await strategy.merge(pullRequest);
-      Log.info(green(`  \u2713  Successfully merged the pull request: #${prNumber}`));
-    } finally {
-      this.git.runGraceful(["reset", "--hard"]);
-      this.git.run(["checkout", "-f", previousBranchOrRevision]);
-      await strategy.cleanup(pullRequest);
-    }
+    return pullRequest;
   }
   async updatePullRequestTargetedBranchesFromPrompt(pullRequest) {
+    this.assertInteractive("The branches to merge the pull request into need to be selected manually.");
     const { name: repoName, owner } = this.config.github;
     let ltsBranches = [];
     try {
@@ -33175,6 +33893,15 @@ https://git-scm.com/docs/git-fetch#Documentation/git-fetch.txt---unshallow`);
     }
     pullRequest.targetBranches = selectedBranches;
   }
+  async confirm(config2, nonInteractiveReason) {
+    this.assertInteractive(nonInteractiveReason);
+    return Prompt.confirm(config2);
+  }
+  assertInteractive(reason) {
+    if (!this.flags.interactive) {
+      throw new NonInteractiveMergeToolError(reason);
+    }
+  }
   async confirmMergeAccess() {
     if (this.git.userType === "user") {
       const hasOauthScopes = await this.git.hasOauthScopes((scopes, missing) => {
@@ -33192,70 +33919,235 @@ https://git-scm.com/docs/git-fetch#Documentation/git-fetch.txt---unshallow`);
       if (hasOauthScopes !== true) {
         throw new FatalMergeToolError(hasOauthScopes.error);
       }
+      await this.assertMergeModeAllowsMerge();
       return;
     } else {
       Log.debug("Assuming correct access because this a bot account.");
     }
   }
+  async assertMergeModeAllowsMerge() {
+    let mergeMode;
+    try {
+      const { data: properties } = await this.git.github.repos.customPropertiesForReposGetRepositoryValues({
+        owner: this.git.remoteConfig.owner,
+        repo: this.git.remoteConfig.name
+      });
+      mergeMode = properties.find(({ property_name }) => property_name === mergeModePropertyName)?.value;
+    } catch (e) {
+      Log.debug(e);
+      if (this.flags.overrideMergeMode) {
+        Log.warn(`  \u26A0  Unable to determine the merge mode of the repository. Merging anyway as --override-merge-mode was provided.`);
+        return;
+      }
+      throw new FatalMergeToolError("Unable to determine the merge mode of the repository. Use the --override-merge-mode option to merge anyway.");
+    }
+    if (mergeMode === void 0) {
+      Log.debug(`No "${mergeModePropertyName}" repository configuration value is set. Skipping merge mode enforcement.`);
+      return;
+    }
+    const { name } = this.config.github;
+    const requiredTeam = mergeMode === MergeMode.CARETAKER_ONLY ? `${name}-caretaker` : mergeMode === MergeMode.RELEASE ? `${name}-releaser` : null;
+    if (requiredTeam === null) {
+      return;
+    }
+    const { data: { login } } = await this.git.github.users.getAuthenticated();
+    if (await isActiveTeamMember(this.git, this.git.remoteParams.owner, requiredTeam, login)) {
+      return;
+    }
+    if (this.flags.overrideMergeMode) {
+      Log.warn(`  \u26A0  Overriding the "${mergeMode}" merge mode of the repository. ${login} is not a member of ${requiredTeam}.`);
+      return;
+    }
+    throw new FatalMergeToolError(`The repository is in the "${mergeMode}" merge mode, which only allows members of the ${requiredTeam} team to merge. Use the --override-merge-mode option to merge anyway.`);
+  }
 };
 
+function getMergeQueueFailureReason(e) {
+  if (e instanceof FatalMergeToolError) {
+    return e.message;
+  }
+  if (e instanceof InvalidTargetBranchError || e instanceof InvalidTargetLabelError) {
+    return e.failureMessage;
+  }
+  return null;
+}
+
 // ng-dev/pr/merge/merge-pull-request.js
 async function mergePullRequest(prNumber, flags) {
   process.env["HUSKY"] = "0";
+  if (flags.json) {
+    redirectLogOutputToStderr();
+  }
   const tool = await createPullRequestMergeTool(flags);
-  if (!await performMerge()) {
-    process.exit(1);
+  const exitCode = await performMerge();
+  if (flags.json) {
+    printMergeReport(tool.reports);
+  }
+  if (exitCode !== MergeExitCode.SUCCESS) {
+    process.exit(exitCode);
   }
   async function performMerge(validationConfig = {
     assertCompletedReviews: !flags.ignorePendingReviews
   }) {
     try {
-      await tool.merge(prNumber, validationConfig);
-      return true;
-    } catch (e) {
-      if (isGithubApiError(e) && e.status === 401) {
-        Log.error("Github API request failed: " + bold(e.message));
-        Log.error("Please ensure that your provided token is valid.");
-        Log.warn(`You can generate a token here: ${GITHUB_TOKEN_GENERATE_URL}`);
-        return false;
-      }
-      if (isGithubApiError(e) && e.status === 405 && e.message.startsWith("Repository rule violations found")) {
-        Log.error("  \u2718  Repository Rule Violation. This typically indicates that you are not");
-        Log.error("     currently a member of the expected group for merge permissions in this");
-        Log.error("     repository. Have you been placed in the expected caretaking group?");
-        Log.debug("Github API request failed: " + bold(e.message));
-        return false;
-      }
-      if (isGithubApiError(e)) {
-        Log.error("Github API request failed: " + bold(e.message));
-        return false;
+      const stack = flags.stack ? await getPullRequestStack(tool.git, prNumber) : [];
+      if (stack.length > 1) {
+        await tool.mergeStack(stack, validationConfig);
+      } else {
+        await tool.merge(prNumber, validationConfig);
       }
-      if (e instanceof UserAbortedMergeToolError) {
-        Log.warn("Manually aborted merging..");
-        return false;
+      return MergeExitCode.SUCCESS;
+    } catch (e) {
+      if (flags.json) {
+        tool.recordFailedPullRequests([prNumber], e);
       }
-      if (e instanceof InvalidTargetBranchError) {
-        Log.error(`Pull request selects an invalid GitHub destination branch:`);
-        Log.error(` -> ${bold(e.failureMessage)}`);
+      return handleMergeError(e, flags.json);
+    }
+  }
+}
+async function mergePullRequestQueue(prNumbers, label, flags) {
+  process.env["HUSKY"] = "0";
+  if (flags.json) {
+    redirectLogOutputToStderr();
+  }
+  const tool = await createPullRequestMergeTool(flags);
+  const exitCode = await performMergeQueue();
+  if (flags.json) {
+    printMergeReport(tool.reports);
+  }
+  if (exitCode !== MergeExitCode.SUCCESS) {
+    process.exit(exitCode);
+  }
+  async function performMergeQueue(validationConfig = {
+    assertCompletedReviews: !flags.ignorePendingReviews
+  }) {
+    try {
+      const queue = label !== void 0 ? await findPendingPullRequestsWithLabel(tool.git, label) : prNumbers;
+      if (queue.length === 0) {
+        Log.warn(`No pull requests found to merge.`);
+        return MergeExitCode.SUCCESS;
       }
-      if (e instanceof InvalidTargetLabelError) {
-        Log.error(`Pull request target label could not be determined:`);
-        Log.error(` -> ${bold(e.failureMessage)}`);
+      Log.info(`Merging ${queue.length} pull request(s): ${queue.map((n) => `#${n}`).join(", ")}`);
+      const result = await tool.mergeQueue(queue, validationConfig);
+      Log.info();
+      Log.info(getMergeQueueSummaryMessage(result, flags.dryRun));
+      return tool.reports.find((report) => report.exitCode !== MergeExitCode.SUCCESS)?.exitCode ?? MergeExitCode.SUCCESS;
+    } catch (e) {
+      if (flags.json) {
+        tool.recordFailedPullRequests(prNumbers, e);
       }
-      if (e instanceof PullRequestValidationError) {
-        Log.error("Pull request failed at least one validation check.");
-        Log.error("See above for specific error information");
-        return false;
+      return handleMergeError(e, flags.json);
+    }
+  }
+}
+async function mergePullRequestsWhenReady(prNumbers, label, flags, timeoutMinutes) {
+  process.env["HUSKY"] = "0";
+  if (flags.json) {
+    redirectLogOutputToStderr();
+  }
+  const tool = await createPullRequestMergeTool(flags);
+  const exitCode = await performMergeWhenReady();
+  if (flags.json) {
+    printMergeReport(tool.reports);
+  }
+  if (exitCode !== MergeExitCode.SUCCESS) {
+    process.exit(exitCode);
+  }
+  async function performMergeWhenReady(validationConfig = {
+    assertCompletedReviews: !flags.ignorePendingReviews
+  }) {
+    try {
+      const prsToWatch = label !== void 0 ? await findPendingPullRequestsWithLabel(tool.git, label) : prNumbers;
+      if (prsToWatch.length === 0) {
+        Log.warn(`No pull requests found to merge.`);
+        return MergeExitCode.SUCCESS;
       }
-      if (e instanceof FatalMergeToolError) {
-        Log.error(`Could not merge the specified pull request. Error:`);
-        Log.error(` -> ${bold(e.message)}`);
-        return false;
+      Log.info(`Waiting for ${prsToWatch.length} pull request(s) to become ready: ${prsToWatch.map((n) => `#${n}`).join(", ")}`);
+      const result = await tool.mergeWhenReady(prsToWatch, validationConfig, timeoutMinutes * 6e4);
+      Log.info();
+      Log.info(getMergeQueueSummaryMessage(result, flags.dryRun));
+      return tool.reports.find((report) => report.exitCode !== MergeExitCode.SUCCESS)?.exitCode ?? MergeExitCode.SUCCESS;
+    } catch (e) {
+      if (flags.json) {
+        tool.recordFailedPullRequests(prNumbers, e);
       }
-      throw e;
+      return handleMergeError(e, flags.json);
+    }
+  }
+}
+async function resumePullRequestMerge(flags) {
+  process.env["HUSKY"] = "0";
+  const tool = await createPullRequestMergeTool(flags);
+  const exitCode = await performResume();
+  if (exitCode !== MergeExitCode.SUCCESS) {
+    process.exit(exitCode);
+  }
+  async function performResume() {
+    try {
+      await tool.resume();
+      return MergeExitCode.SUCCESS;
+    } catch (e) {
+      return handleMergeError(e);
     }
   }
 }
+async function findPendingPullRequestsWithLabel(git, label) {
+  Log.info(`Requesting pending pull requests with the "${label}" label from Github`);
+  const pendingPullRequests = await fetchPendingPullRequestsFromGithub(git);
+  return pendingPullRequests.filter((pr) => pr.labels.nodes.some(({ name }) => name === label)).map((pr) => pr.number).sort((a, b) => a - b);
+}
+function handleMergeError(e, json = false) {
+  if (isGithubApiError(e) && e.status === 401) {
+    Log.error("Github API request failed: " + bold(e.message));
+    Log.error("Please ensure that your provided token is valid.");
+    Log.warn(`You can generate a token here: ${GITHUB_TOKEN_GENERATE_URL}`);
+    return getMergeExitCodeForError(e);
+  }
+  if (isGithubApiError(e) && e.status === 405 && e.message.startsWith("Repository rule violations found")) {
+    Log.error("  \u2718  Repository Rule Violation. This typically indicates that you are not");
+    Log.error("     currently a member of the expected group for merge permissions in this");
+    Log.error("     repository. Have you been placed in the expected caretaking group?");
+    Log.debug("Github API request failed: " + bold(e.message));
+    return getMergeExitCodeForError(e);
+  }
+  if (isGithubApiError(e)) {
+    Log.error("Github API request failed: " + bold(e.message));
+    return getMergeExitCodeForError(e);
+  }
+  if (e instanceof UserAbortedMergeToolError) {
+    Log.warn("Manually aborted merging..");
+    return getMergeExitCodeForError(e);
+  }
+  if (e instanceof InvalidTargetBranchError) {
+    Log.error(`Pull request selects an invalid GitHub destination branch:`);
+    Log.error(` -> ${bold(e.failureMessage)}`);
+    return getMergeExitCodeForError(e);
+  }
+  if (e instanceof InvalidTargetLabelError) {
+    Log.error(`Pull request target label could not be determined:`);
+    Log.error(` -> ${bold(e.failureMessage)}`);
+    return getMergeExitCodeForError(e);
+  }
+  if (e instanceof PullRequestValidationError) {
+    Log.error("Pull request failed at least one validation check.");
+    Log.error("See above for specific error information");
+    return getMergeExitCodeForError(e);
+  }
+  if (e instanceof FatalMergeToolError) {
+    Log.error(`Could not merge the specified pull request. Error:`);
+    Log.error(` -> ${bold(e.message)}`);
+    return getMergeExitCodeForError(e);
+  }
+  if (json) {
+    Log.error("An unexpected error occurred while merging:", e);
+    return getMergeExitCodeForError(e);
+  }
+  throw e;
+}
+function printMergeReport(reports) {
+  process.stdout.write(`${JSON.stringify({ pullRequests: reports }, null, 2)}
+`);
+}
 async function createPullRequestMergeTool(flags) {
   try {
     const config2 = await getConfig();
@@ -33287,10 +34179,60 @@ function parsePrNumber(prUrlOrNumber) {
 // ng-dev/pr/merge/cli.js
 async function builder17(argv) {
   return addDryRunFlag(addGithubTokenOption(argv)).help().strict().positional("pr", {
-    demandOption: true,
-    coerce: (prUrlOrNumber) => parsePrNumber(prUrlOrNumber),
+    coerce: (prUrlsOrNumbers) => prUrlsOrNumbers.map((prUrlOrNumber) => parsePrNumber(prUrlOrNumber)),
     type: "string",
-    description: "The PR to be merged."
+    array: true,
+    default: [],
+    defaultDescription: "none",
+    description: "The PR(s) to be merged. Multiple PRs are merged one after another."
+  }).option("label", {
+    type: "string",
+    description: "Merge all pending PRs with the given label one after another, e.g. 'action: merge'."
+  }).option("resume", {
+    type: "boolean",
+    default: false,
+    description: "Finish a merge that was interrupted after pushing to some of the target branches."
+  }).option("stack", {
+    type: "boolean",
+    default: false,
+    description: "Merge the whole stack of pull requests the PR is stacked on, bottom-up."
+  }).option("when-ready", {
+    type: "boolean",
+    default: false,
+    description: "Keep watching the PR(s) and merge each one automatically once all validations pass. PRs that need to be confirmed through a prompt are not merged."
+  }).option("when-ready-timeout", {
+    type: "number",
+    default: 120,
+    description: "Number of minutes to keep watching PRs in --when-ready mode before giving up."
+  }).check(({ pr, label, resume, stack, whenReady, forceManualBranches, waitForValidations, json }) => {
+    if (resume) {
+      if (pr.length !== 0 || label !== void 0) {
+        throw Error("PRs or the --label option cannot be provided together with the --resume option.");
+      }
+      if (whenReady) {
+        throw Error("The --when-ready option cannot be provided together with the --resume option.");
+      }
+      return true;
+    }
+    if (stack && (pr.length !== 1 || whenReady)) {
+      throw Error("The --stack option can only be provided together with a single PR.");
+    }
+    if (whenReady && forceManualBranches) {
+      throw Error("The --when-ready option cannot be provided together with the --force-manual-branches option.");
+    }
+    if (json && forceManualBranches) {
+      throw Error("The --json option cannot be provided together with the --force-manual-branches option.");
+    }
+    if (json && waitForValidations) {
+      throw Error("The --json option cannot be provided together with the --wait-for-validations option.");
+    }
+    if (pr.length === 0 && label === void 0) {
+      throw Error("Either a PR or the --label option must be provided.");
+    }
+    if (pr.length !== 0 && label !== void 0) {
+      throw Error("PRs cannot be provided together with the --label option.");
+    }
+    return true;
   }).option("branch-prompt", {
     type: "boolean",
     default: true,
@@ -33307,22 +34249,47 @@ async function builder17(argv) {
     type: "boolean",
     default: false,
     description: "Wait for pending validations to complete before merging."
+  }).option("json", {
+    type: "boolean",
+    default: false,
+    description: "Whether a report of the merge should be printed to stdout as JSON. Prompts are disabled in this mode."
+  }).option("override-merge-mode", {
+    type: "boolean",
+    default: false,
+    description: "Merge even though the repository merge mode does not allow the current user to merge, or cannot be determined."
   });
 }
-async function handler17({ pr, branchPrompt, forceManualBranches, dryRun, ignorePendingReviews, waitForValidations }) {
-  await mergePullRequest(pr, {
+async function handler17({ pr, label, resume, stack, whenReady, whenReadyTimeout, branchPrompt, forceManualBranches, dryRun, ignorePendingReviews, waitForValidations, json, overrideMergeMode }) {
+  const flags = {
+    stack,
+    overrideMergeMode,
     branchPrompt,
     forceManualBranches,
     dryRun,
     ignorePendingReviews,
-    waitForValidations
-  });
+    waitForValidations,
+    json,
+    interactive: !json
+  };
+  if (resume) {
+    await resumePullRequestMerge(flags);
+    return;
+  }
+  if (whenReady) {
+    await mergePullRequestsWhenReady(pr, label, flags, whenReadyTimeout);
+    return;
+  }
+  if (pr.length === 1 && label === void 0) {
+    await mergePullRequest(pr[0], flags);
+    return;
+  }
+  await mergePullRequestQueue(pr, label, flags);
 }
 var MergeCommandModule = {
   handler: handler17,
   builder: builder17,
-  command: "merge <pr>",
-  describe: "Merge a PR into its targeted branches."
+  command: "merge [pr..]",
+  describe: "Merge one or more PRs into their targeted branches."
 };
 
 // ng-dev/pr/rebase/index.js
@@ -33427,9 +34394,550 @@ var RebaseCommandModule = {
   describe: "Rebase a pending PR and push the rebased commits back to Github"
 };
 
+// ng-dev/pr/validate/validate.js
+async function validatePullRequest(prNumber) {
+  const config2 = await getConfig();
+  assertValidGithubConfig(config2);
+  assertValidPullRequestConfig(config2);
+  const git = await AuthenticatedGitClient.get();
+  const prData = await fetchPullRequestFromGithub(git, prNumber);
+  if (prData === null) {
+    Log.error(`  \u2718  Pull request #${prNumber} could not be found.`);
+    return false;
+  }
+  let resolvedTarget;
+  try {
+    resolvedTarget = await resolveTargetForPullRequest({ git, config: config2 }, prData);
+  } catch (e) {
+    if (e instanceof InvalidTargetBranchError || e instanceof InvalidTargetLabelError) {
+      Log.error(`  \u2718  Unable to determine the target of pull request #${prNumber}:`);
+      Log.error(`     ${e.failureMessage}`);
+      return false;
+    }
+    throw e;
+  }
+  const { activeReleaseTrains, target } = resolvedTarget;
+  const validationConfig = createPullRequestValidationConfig({
+    ...config2.pullRequest.validators,
+    waitIfPending: false
+  });
+  Log.info(`Validating pull request #${prNumber}: ${bold(prData.title)}`);
+  Log.info(`Target label: ${target.label.name}`);
+  Log.info(`Target branches: ${target.branches.join(", ")}`);
+  Log.info();
+  const failures = await assertValidPullRequest(prData, validationConfig, config2, activeReleaseTrains, target, git);
+  const results = getPullRequestValidationResults(failures, validationConfig, config2, activeReleaseTrains);
+  const nameColumnWidth = Math.max(...results.map(({ name }) => name.length));
+  for (const { name, status, failures: validationFailures } of results) {
+    const row = `${name.padEnd(nameColumnWidth)}  ${status}`;
+    if (status === "passed") {
+      Log.info(green(`  \u2713  ${row}`));
+    } else if (status === "skipped") {
+      Log.info(`  -  ${row}`);
+    } else {
+      Log.info(red(`  \u2718  ${row}`));
+      for (const { message, canBeForceIgnored } of validationFailures) {
+        Log.info(red(`       -> ${message}${canBeForceIgnored ? " (can be forcibly ignored)" : ""}`));
+      }
+    }
+  }
+  Log.info();
+  if (failures.length > 0) {
+    Log.error(`  \u2718  Pull request #${prNumber} did not pass ${failures.length} validation check(s).`);
+    return false;
+  }
+  Log.info(green(`  \u2713  Pull request #${prNumber} passed all validation checks.`));
+  return true;
+}
+
+// ng-dev/pr/validate/cli.js
+function builder32(argv) {
+  return addGithubTokenOption(argv).positional("pr", {
+    coerce: parsePrNumber,
+    type: "string",
+    demandOption: true,
+    description: "The URL or the number of the pull request to validate."
+  });
+}
+async function handler32({ pr }) {
+  if (!await validatePullRequest(pr)) {
+    process.exitCode = 1;
+  }
+}
+var ValidateCommandModule = {
+  handler: handler32,
+  builder: builder32,
+  command: "validate <pr>",
+  describe: "Run the merge validations for a PR without merging or touching the local checkout."
+};
+
+// ng-dev/pr/backport/index.js
+async function backportPullRequest(prNumber, targetBranch, force = false) {
+  const config2 = await getConfig();
+  assertValidGithubConfig(config2);
+  assertValidPullRequestConfig(config2);
+  const git = await AuthenticatedGitClient.get();
+  if (git.hasUncommittedChanges()) {
+    Log.error("Cannot backport a PR with local changes.");
+    return 1;
+  }
+  const pr = await fetchPullRequestFromGithub(git, prNumber);
+  if (pr === null) {
+    Log.error(`Specified pull request does not exist.`);
+    return 1;
+  }
+  if (pr.state !== "MERGED") {
+    Log.error(`Pull request #${prNumber} cannot be backported as it has not been merged.`);
+    return 1;
+  }
+  let targetLabel;
+  try {
+    targetLabel = await getBackportTargetLabel(git, config2, targetBranch, force);
+  } catch (e) {
+    if (e instanceof InvalidTargetBranchError) {
+      Log.error(`  \u2718  Unable to backport pull request #${prNumber} into ${targetBranch}:`);
+      Log.error(`     ${e.failureMessage}`);
+      return 1;
+    }
+    throw e;
+  }
+  const previousBranchOrRevision = git.getCurrentBranchOrRevision();
+  const repoUrl = git.getRepoGitUrl();
+  try {
+    Log.info(`Looking up the commits of PR #${prNumber} in ${pr.baseRefName}`);
+    git.run(["fetch", "-q", repoUrl, "--", pr.baseRefName]);
+    const mergedCommits = await findMergedCommitsOfPullRequest(git, pr);
+    if (mergedCommits === null) {
+      Log.error(`Unable to find the commits of PR #${prNumber} in ${pr.baseRefName}. Neither commits with a "PR Close #${prNumber}" trailer nor the merge commit of the pull request could be found.`);
+      return 1;
+    }
+    const { shas, isMergeCommit } = mergedCommits;
+    Log.info(`Cherry-picking ${shas.length} commit(s) into ${targetBranch}`);
+    git.run(["fetch", "-q", repoUrl, "--", targetBranch]);
+    git.run(["checkout", "-q", "--detach", "FETCH_HEAD"]);
+    if (git.runGraceful(["cherry-pick", "-x", ...isMergeCommit ? ["-m", "1"] : [], ...shas]).status !== 0) {
+      git.runGraceful(["cherry-pick", "--abort"]);
+      Log.error(`PR #${prNumber} cannot be cherry-picked into ${targetBranch} without conflicts. Please create the backport manually.`);
+      return 1;
+    }
+    const fork2 = await git.getForkOfAuthenticatedUser();
+    const branchName = await findAvailableBackportBranchName(git, fork2, `backport-${prNumber}-${targetBranch}`);
+    Log.info(`Pushing the backport to ${fork2.owner}/${fork2.name}:${branchName}`);
+    git.run(["push", "-q", getRepositoryGitUrl({ ...fork2, useSsh: git.remoteConfig.useSsh }, git.githubToken), `HEAD:refs/heads/${branchName}`]);
+    const { data } = await git.github.pulls.create({
+      ...git.remoteParams,
+      head: `${fork2.owner}:${branchName}`,
+      base: targetBranch,
+      title: pr.title,
+      body: `Backport of #${prNumber} into the ${targetBranch} branch.`
+    });
+    await git.github.issues.addLabels({ ...git.remoteParams, issue_number: data.number, labels: [targetLabel.name] });
+    Log.info(green(`  \u2713  Created backport pull request #${data.number}: ${data.html_url}`));
+    return 0;
+  } catch (err) {
+    if (err instanceof Error) {
+      Log.error(err.message);
+      Log.debug(err.stack);
+    } else {
+      Log.error(err);
+    }
+    return 1;
+  } finally {
+    git.checkout(previousBranchOrRevision, true);
+  }
+}
+async function findMergedCommitsOfPullRequest(git, pr) {
+  const shas = git.run(["log", "--reverse", "--format=%H", `--grep=^PR Close #${pr.number}$`, "FETCH_HEAD"]).stdout.split("\n").filter((sha) => sha !== "");
+  if (shas.length > 0) {
+    return { shas, isMergeCommit: false };
+  }
+  const { data } = await git.github.pulls.get({ ...git.remoteParams, pull_number: pr.number });
+  const mergeSha = data.merge_commit_sha;
+  if (!mergeSha || !git.hasCommit("FETCH_HEAD", mergeSha)) {
+    return null;
+  }
+  const parentCount = git.run(["rev-list", "--parents", "-n", "1", mergeSha]).stdout.trim().split(" ").length - 1;
+  if (parentCount > 1) {
+    return { shas: [mergeSha], isMergeCommit: true };
+  }
+  const prCommitSubjects = pr.commits.nodes.map(({ commit }) => commit.message.split("\n")[0]);
+  if (prCommitSubjects.length === pr.commits.totalCount && prCommitSubjects.length > 1) {
+    const [rebasedShas, rebasedSubjects] = ["%H", "%s"].map((format) => git.run(["log", "--reverse", `--format=${format}`, `-n${prCommitSubjects.length}`, mergeSha]).stdout.split("\n").filter((line) => line !== ""));
+    if (rebasedSubjects.every((subject, index) => subject.startsWith(prCommitSubjects[index]))) {
+      return { shas: rebasedShas, isMergeCommit: false };
+    }
+  }
+  return { shas: [mergeSha], isMergeCommit: false };
+}
+async function getBackportTargetLabel(git, config2, branchName, force) {
+  const repo = {
+    owner: config2.github.owner,
+    name: config2.github.name,
+    nextBranchName: getNextBranchName(config2.github),
+    api: git.github
+  };
+  const { latest, releaseCandidate, exceptionalMinor } = await ActiveReleaseTrains.fetch(repo);
+  if (branchName === latest.branchName) {
+    return targetLabels["TARGET_PATCH"];
+  }
+  if (branchName === releaseCandidate?.branchName) {
+    return targetLabels["TARGET_RC"];
+  }
+  if (branchName === exceptionalMinor?.branchName) {
+    return targetLabels["TARGET_MINOR"];
+  }
+  if (!isVersionBranch(branchName)) {
+    throw new InvalidTargetBranchError(`"${branchName}" is not a release branch that pull requests can be backported into.`);
+  }
+  try {
+    assertValidReleaseConfig(config2);
+  } catch (e) {
+    if (e instanceof ConfigValidationError) {
+      throw new InvalidTargetBranchError(`Unable to determine whether "${branchName}" is an active long-term support branch without a valid release configuration.`);
+    }
+    throw e;
+  }
+  await assertActiveLtsBranch(repo, config2.release, branchName, async () => {
+    if (!force) {
+      Log.warn(yellow(`Use the --force option to backport into the ${branchName} branch anyway.`));
+    }
+    return force;
+  });
+  return targetLabels["TARGET_LTS"];
+}
+async function findAvailableBackportBranchName(git, fork2, baseName) {
+  let branchName = baseName;
+  for (let suffixNum = 1; ; suffixNum++) {
+    try {
+      await git.github.repos.getBranch({ owner: fork2.owner, repo: fork2.name, branch: branchName });
+    } catch (e) {
+      if (isGithubApiError(e) && e.status === 404) {
+        return branchName;
+      }
+      throw e;
+    }
+    branchName = `${baseName}_${suffixNum}`;
+  }
+}
+
+// ng-dev/pr/backport/cli.js
+function builder34(argv) {
+  return addGithubTokenOption(argv).positional("pr", {
+    coerce: parsePrNumber,
+    type: "string",
+    demandOption: true,
+    description: "The URL or the number of the merged pull request to backport."
+  }).positional("branch", {
+    type: "string",
+    demandOption: true,
+    description: "The release branch to backport the pull request into, e.g. 17.3.x."
+  }).option("force", {
+    type: "boolean",
+    default: false,
+    description: "Backport into a long-term support branch even though its support period has ended."
+  });
+}
+async function handler34({ pr, branch, force }) {
+  process.exitCode = await backportPullRequest(pr, branch, force);
+}
+var BackportCommandModule = {
+  handler: handler34,
+  builder: builder34,
+  command: "backport <pr> <branch>",
+  describe: "Cherry-pick a merged PR into an additional release branch and open a backport PR for it."
+};
+
+// ng-dev/pr/history/history.js
+async function printMergeHistory({ since, until, user, branch, ignoredValidation, json }) {
+  const git = await GitClient.get();
+  const sinceTime = since !== void 0 ? Date.parse(since) : -Infinity;
+  const untilTime = until !== void 0 ? Date.parse(until) + (/^\d{4}-\d{2}-\d{2}$/.test(until) ? 864e5 : 0) : Infinity;
+  const records = MergeHistory.open(git).getRecords().filter((record) => {
+    const mergedAt = Date.parse(record.mergedAt);
+    return mergedAt >= sinceTime && mergedAt < untilTime && (user === void 0 || record.mergedBy === user) && (branch === void 0 || record.targetBranches.includes(branch)) && (ignoredValidation === void 0 || record.ignoredValidations.includes(ignoredValidation));
+  });
+  if (json) {
+    process.stdout.write(JSON.stringify(records, null, 2));
+    return;
+  }
+  if (records.length === 0) {
+    Log.info("No merges found in the local merge history.");
+    return;
+  }
+  for (const { prNumber, title, targetBranches, shas, ignoredValidations, mergedBy, mergedAt } of records) {
+    Log.info(`${bold(`#${prNumber}`)} ${title}`);
+    Log.info(`  Merged by ${mergedBy} at ${mergedAt}`);
+    Log.info(`  Target branches: ${targetBranches.map((name) => `${name} (${shas[name] ?? "unknown"})`).join(", ")}`);
+    if (ignoredValidations.length > 0) {
+      Log.info(yellow(`  Forcibly ignored validations: ${ignoredValidations.join(", ")}`));
+    }
+  }
+}
+
+// ng-dev/pr/history/cli.js
+function builder33(argv) {
+  return argv.option("since", {
+    type: "string",
+    description: "Only show merges on or after the given date, e.g. 2024-05-01."
+  }).option("until", {
+    type: "string",
+    description: "Only show merges on or before the given date, e.g. 2024-05-31."
+  }).option("user", {
+    type: "string",
+    description: "Only show merges performed by the given GitHub user."
+  }).option("branch", {
+    type: "string",
+    description: "Only show merges into the given branch."
+  }).option("ignored-validation", {
+    type: "string",
+    description: "Only show merges where the given validation was forcibly ignored, e.g. assertPassingCi."
+  }).option("json", {
+    type: "boolean",
+    default: false,
+    description: "Whether the matching merges should be printed to stdout as JSON."
+  }).check(({ since, until }) => {
+    for (const date of [since, until]) {
+      if (date !== void 0 && isNaN(Date.parse(date))) {
+        throw Error(`"${date}" is not a valid date.`);
+      }
+    }
+    return true;
+  });
+}
+async function handler33({ since, until, user, branch, ignoredValidation, json }) {
+  await printMergeHistory({ since, until, user, branch, ignoredValidation, json });
+}
+var HistoryCommandModule = {
+  handler: handler33,
+  builder: builder33,
+  command: "history",
+  describe: "Query the local history of PRs merged with ng-dev from this repository."
+};
+
+// ng-dev/pr/labels/sync/index.js
+async function syncLabels({ dryRun, deleteUnmanaged }) {
+  const config2 = await getConfig();
+  assertValidGithubConfig(config2);
+  const git = await AuthenticatedGitClient.get();
+  assertValidPullRequestConfig(config2);
+  const managedLabels = getManagedLabelsForRepository(config2);
+  if (managedLabels.length === 0) {
+    Log.error(`  \u2718  No labels are managed for the ${config2.github.name} repository.`);
+    return 1;
+  }
+  const existingLabels = await git.github.paginate(git.github.issues.listLabelsForRepo, { ...git.remoteParams, per_page: 100 });
+  const changes = getLabelChanges(managedLabels, existingLabels, deleteUnmanaged);
+  if (changes.length === 0) {
+    Log.info(green(`  \u2713  All ${managedLabels.length} managed labels are up to date.`));
+    return 0;
+  }
+  Log.info(dryRun ? `The following label changes would be made:` : `Synchronizing the labels of ${config2.github.owner}/${config2.github.name}:`);
+  for (const change of changes) {
+    Log.info(`  ${getLabelChangeDescription(change)}`);
+  }
+  if (dryRun) {
+    return 0;
+  }
+  const deletions = changes.filter(({ action }) => action === "delete");
+  if (deletions.length > 0 && !await Prompt.confirm({ message: `Do you want to delete ${deletions.length} unmanaged label(s)? They are removed from all issues and pull requests.` })) {
+    return 1;
+  }
+  for (const change of changes) {
+    await applyLabelChange(git, change);
+  }
+  Log.info(green(`  \u2713  Applied ${changes.length} label change(s).`));
+  return 0;
+}
+function getManagedLabelsForRepository(config2) {
+  const labels = Object.values(getLabelRegistry(config2)).filter((label) => label.repositories.includes(config2.github.name));
+  return [...new Map(labels.map((label) => [label.name, label])).values()];
+}
+function getLabelChanges(managedLabels, existingLabels, deleteUnmanaged) {
+  const existingByName = new Map(existingLabels.map((current) => [current.name.toLowerCase(), current]));
+  const claimedNames = /* @__PURE__ */ new Set();
+  const changes = [];
+  for (const label of managedLabels) {
+    const current = [label.name, ...label.params.previousNames ?? []].map((name) => existingByName.get(name.toLowerCase())).find((match) => match !== void 0);
+    if (current === void 0) {
+      changes.push({ action: "create", label });
+      continue;
+    }
+    claimedNames.add(current.name);
+    if (current.name !== label.name) {
+      changes.push({ action: "rename", label, current });
+    } else if ((current.description ?? "") !== label.description || label.color !== void 0 && current.color.toLowerCase() !== normalizeLabelColor(label.color)) {
+      changes.push({ action: "update", label, current });
+    }
+  }
+  if (deleteUnmanaged) {
+    for (const current of existingLabels.filter(({ name }) => !claimedNames.has(name))) {
+      changes.push({ action: "delete", current });
+    }
+  }
+  return changes;
+}
+function getLabelChangeDescription({ action, label, current }) {
+  switch (action) {
+    case "create":
+      return green(`+ Create "${label.name}"`);
+    case "update":
+      return yellow(`~ Update "${label.name}"`);
+    case "rename":
+      return yellow(`~ Rename "${current.name}" to "${label.name}"`);
+    case "delete":
+      return red(`- Delete "${current.name}"`);
+  }
+}
+async function applyLabelChange(git, { action, label, current }) {
+  const color = label?.color !== void 0 ? normalizeLabelColor(label.color) : void 0;
+  switch (action) {
+    case "create":
+      await git.github.issues.createLabel({ ...git.remoteParams, name: label.name, description: label.description, color });
+      break;
+    case "update":
+    case "rename":
+      await git.github.issues.updateLabel({ ...git.remoteParams, name: current.name, new_name: label.name, description: label.description, color });
+      break;
+    case "delete":
+      await git.github.issues.deleteLabel({ ...git.remoteParams, name: current.name });
+      break;
+  }
+}
+function normalizeLabelColor(color) {
+  return color.replace(/^#/, "").toLowerCase();
+}
+
+// ng-dev/pr/labels/sync/cli.js
+function builder35(argv) {
+  return addDryRunFlag(addGithubTokenOption(argv)).option("delete-unmanaged", {
+    type: "boolean",
+    default: false,
+    description: "Whether labels that are not managed for this repository should be deleted."
+  });
+}
+async function handler35({ dryRun, deleteUnmanaged }) {
+  process.exitCode = await syncLabels({ dryRun, deleteUnmanaged });
+}
+var LabelsSyncCommandModule = {
+  handler: handler35,
+  builder: builder35,
+  command: "sync",
+  describe: "Create, update or rename the GitHub labels of the repository to match the managed label definitions."
+};
+
+// ng-dev/pr/labels/apply/index.js
+async function applyManagedLabels({ prNumber, allPending, dryRun }) {
+  const config2 = await getConfig();
+  assertValidGithubConfig(config2);
+  assertValidPullRequestConfig(config2);
+  const git = await AuthenticatedGitClient.get();
+  const managedLabels = Object.values(getLabelRegistry(config2)).filter((label) => typeof label.commitCheck === "function");
+  let pullRequests;
+  if (allPending) {
+    Log.info("Requesting pending pull requests from Github");
+    pullRequests = await fetchPendingPullRequestsFromGithub(git) ?? [];
+  } else {
+    const pr = await fetchPullRequestFromGithub(git, prNumber);
+    if (pr === null) {
+      Log.error(`Specified pull request does not exist.`);
+      return 1;
+    }
+    pullRequests = [pr];
+  }
+  let updatedCount = 0;
+  for (const pr of pullRequests) {
+    const { add, remove } = getManagedLabelChanges(pr, managedLabels);
+    if (add.length === 0 && remove.length === 0) {
+      Log.debug(`Managed labels of PR #${pr.number} are up to date.`);
+      continue;
+    }
+    updatedCount++;
+    const changes = [...add.map((name) => `+"${name}"`), ...remove.map((name) => `-"${name}"`)];
+    Log.info(`PR #${pr.number}: ${changes.join(", ")}`);
+    if (dryRun) {
+      continue;
+    }
+    const issueParams = { ...git.remoteParams, issue_number: pr.number };
+    if (add.length > 0) {
+      await git.github.issues.addLabels({ ...issueParams, labels: add });
+    }
+    for (const name of remove) {
+      await git.github.issues.removeLabel({ ...issueParams, name });
+    }
+  }
+  if (updatedCount === 0) {
+    Log.info(green(`  \u2713  Managed labels of ${pullRequests.length} pull request(s) are up to date.`));
+  } else if (!dryRun) {
+    Log.info(green(`  \u2713  Updated the managed labels of ${updatedCount} pull request(s).`));
+  }
+  return 0;
+}
+function getManagedLabelChanges(pr, managedLabels) {
+  const commits = pr.commits.nodes.map(({ commit }) => parseCommitMessage(commit.message));
+  const currentLabels = pr.labels.nodes.map(({ name }) => name);
+  const hasAllCommits = pr.commits.totalCount <= commits.length;
+  if (!hasAllCommits) {
+    Log.debug(`Only the last ${commits.length} of the ${pr.commits.totalCount} commits of #${pr.number} could be checked. Skipping the removal of managed labels.`);
+  }
+  const add = [];
+  const remove = [];
+  for (const label of managedLabels) {
+    const isApplicable = commits.some((commit) => label.commitCheck(commit));
+    const isApplied = currentLabels.includes(label.name);
+    if (isApplicable && !isApplied) {
+      add.push(label.name);
+    } else if (!isApplicable && isApplied && hasAllCommits) {
+      remove.push(label.name);
+    }
+  }
+  return { add, remove };
+}
+
+// ng-dev/pr/labels/apply/cli.js
+function builder36(argv) {
+  return addDryRunFlag(addGithubTokenOption(argv)).positional("pr", {
+    coerce: parsePrNumber,
+    type: "string",
+    description: "The URL or the number of the pull request to label."
+  }).option("all-pending", {
+    type: "boolean",
+    default: false,
+    description: "Apply the managed labels to all pending pull requests."
+  }).check(({ pr, allPending }) => {
+    if (pr === void 0 && !allPending) {
+      throw Error("Either a PR or the --all-pending option must be provided.");
+    }
+    if (pr !== void 0 && allPending) {
+      throw Error("A PR cannot be provided together with the --all-pending option.");
+    }
+    return true;
+  });
+}
+async function handler36({ pr, allPending, dryRun }) {
+  process.exitCode = await applyManagedLabels({ prNumber: pr, allPending, dryRun });
+}
+var LabelsApplyCommandModule = {
+  handler: handler36,
+  builder: builder36,
+  command: "apply [pr]",
+  describe: "Add or remove the managed labels of PRs based on an analysis of their commits."
+};
+
+// ng-dev/pr/labels/cli.js
+function subCommandsBuilder2(argv) {
+  return argv.help().strict().demandCommand().command(LabelsSyncCommandModule).command(LabelsApplyCommandModule);
+}
+var LabelsCommandModule = {
+  describe: "Manage the GitHub labels of the repository.",
+  command: "labels",
+  builder: subCommandsBuilder2,
+  handler: () => {
+  }
+};
+
 // ng-dev/pr/cli.js
 function buildPrParser(localYargs) {
-  return localYargs.help().strict().demandCommand().command(DiscoverNewConflictsCommandModule).command(RebaseCommandModule).command(MergeCommandModule).command(CheckoutCommandModule).command(CheckTargetBranchesModule);
+  return localYargs.help().strict().demandCommand().command(DiscoverNewConflictsCommandModule).command(RebaseCommandModule).command(MergeCommandModule).command(CheckoutCommandModule).command(CheckTargetBranchesModule).command(ValidateCommandModule).command(HistoryCommandModule).command(BackportCommandModule).command(LabelsCommandModule);
 }
 
 // ng-dev/pullapprove/verify.js
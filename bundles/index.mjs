@@ -7,14 +7,21 @@ import {
   AuthenticatedGitClient,
   AuthenticatedGithubClient,
   COMMIT_TYPES,
+  FatalMergeToolError,
   GitClient,
   GitCommandError,
   GithubClient,
   Label,
+  MergeConflictsFatalError,
+  MergeStrategy,
+  PullRequestValidation,
+  PullRequestValidationFailure,
   ReleaseNotesLevel,
   ReleasePrecheckError,
   ReleaseTrain,
   ScopeRequirement,
+  TEMP_PR_HEAD_BRANCH,
+  TargetLabel,
   _npmPackageInfoCache,
   actionLabels,
   allLabels,
@@ -24,10 +31,12 @@ import {
   assertValidPullRequestConfig,
   computeLtsEndDateOfMajor,
   convertVersionBranchToSemVer,
+  createPullRequestValidation,
   exceptionalMinorPackageIndicator,
   fetchLongTermSupportBranchesFromNpm,
   fetchProjectNpmPackageInfo,
   getBranchesForMajorVersions,
+  getLabelRegistry,
   getLtsNpmDistTagOfMajor,
   getNextBranchName,
   getVersionInfoForBranch,
@@ -58,6 +67,7 @@ import {
   getUserConfig,
   green,
   red,
+  redirectLogOutputToStderr,
   setConfig,
   underline,
   yellow
@@ -70,16 +80,23 @@ export {
   COMMIT_TYPES,
   ConfigValidationError,
   DEFAULT_LOG_LEVEL,
+  FatalMergeToolError,
   GitClient,
   GitCommandError,
   GithubClient,
   Label,
   Log,
   LogLevel,
+  MergeConflictsFatalError,
+  MergeStrategy,
+  PullRequestValidation,
+  PullRequestValidationFailure,
   ReleaseNotesLevel,
   ReleasePrecheckError,
   ReleaseTrain,
   ScopeRequirement,
+  TEMP_PR_HEAD_BRANCH,
+  TargetLabel,
   _npmPackageInfoCache,
   actionLabels,
   allLabels,
@@ -95,10 +112,12 @@ export {
   captureLogOutputForCommand,
   computeLtsEndDateOfMajor,
   convertVersionBranchToSemVer,
+  createPullRequestValidation,
   exceptionalMinorPackageIndicator,
   fetchLongTermSupportBranchesFromNpm,
   fetchProjectNpmPackageInfo,
   getBranchesForMajorVersions,
+  getLabelRegistry,
   getConfig,
   getLtsNpmDistTagOfMajor,
   getNextBranchName,
@@ -114,6 +133,7 @@ export {
   miscLabels,
   priorityLabels,
   red,
+  redirectLogOutputToStderr,
   requiresLabels,
   resolveYarnScriptForProject,
   setConfig,
@@ -27,9 +27,19 @@ function main() {
 function rewriteCommitMessage(message, prNumber) {
   const lines = message.split(/\n/);
   lines[0] += ` (#${prNumber})`;
-  lines.push(`PR Close #${prNumber}`);
+  lines.push(...getCommitMessageTrailers(prNumber));
   return lines.join("\n");
 }
+function getCommitMessageTrailers(prNumber) {
+  const prCloseTrailer = `PR Close #${prNumber}`;
+  const trailers = process.env["NG_DEV_MERGE_COMMIT_TRAILERS"];
+  if (trailers === void 0) {
+    return [prCloseTrailer];
+  }
+  const commitAuthor = `${process.env["GIT_AUTHOR_NAME"]} <${process.env["GIT_AUTHOR_EMAIL"]}>`;
+  const configuredTrailers = JSON.parse(trailers).filter(({ author }) => author !== commitAuthor).map(({ value }) => value).filter((value) => value !== prCloseTrailer);
+  return [...configuredTrailers, prCloseTrailer];
+}
 /**
  * @license
  * Copyright Google LLC
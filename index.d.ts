@@ -4,6 +4,11 @@ export * from './format/config.js';
 export * from './pr/config/index.js';
 export * from './release/config/index.js';
 export * from './pr/common/labels/index.js';
+export * from './pr/merge/strategies/strategy.js';
+export { FatalMergeToolError, MergeConflictsFatalError } from './pr/merge/failures.js';
+export { PullRequest } from './pr/merge/pull-request.js';
+export { PullRequestValidation, PullRequestValidationErrorCreateFn, createPullRequestValidation, } from './pr/common/validation/validation-config.js';
+export { PullRequestValidationFailure } from './pr/common/validation/validation-failure.js';
 export * from './release/versioning/index.js';
 export { ReleasePrecheckError } from './release/precheck/index.js';
 export { EnvStampMode } from './release/stamping/env-stamp.js';
@@ -0,0 +1,7 @@
+import { CommandModule } from 'yargs';
+export interface BackportCommandOptions {
+    pr: number;
+    branch: string;
+    force: boolean;
+}
+export declare const BackportCommandModule: CommandModule<{}, BackportCommandOptions>;
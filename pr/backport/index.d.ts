@@ -0,0 +1 @@
+export declare function backportPullRequest(prNumber: number, targetBranch: string, force?: boolean): Promise<number>;
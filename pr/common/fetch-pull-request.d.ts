@@ -109,6 +109,8 @@ export declare const PR_SCHEMA: {
 export type PullRequestFromGithub = typeof PR_SCHEMA;
 export declare const PR_FILES_SCHEMA: {
     path: string;
+    additions: number;
+    deletions: number;
 };
 export type PullRequestFilesFromGithub = typeof PR_FILES_SCHEMA;
 export declare const PR_COMMENTS_SCHEMA: {
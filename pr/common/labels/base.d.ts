@@ -3,11 +3,12 @@ export interface LabelParams {
     name: string;
     description: string;
     color?: string;
-    repositories?: ManagedRepositories[];
+    repositories?: string[];
+    previousNames?: string[];
 }
 export declare class Label<T extends LabelParams = LabelParams> {
     readonly params: T;
-    repositories: ManagedRepositories[];
+    repositories: string[];
     name: string;
     description: string;
     color: string | undefined;
@@ -0,0 +1,8 @@
+import { AuthenticatedGitClient } from '../../utils/git/authenticated-git-client.js';
+export interface PullRequestStackEntry {
+    prNumber: number;
+    baseRefName: string;
+    baseSha: string;
+}
+export declare function findParentPullRequest(git: AuthenticatedGitClient, baseRefName: string, baseSha: string): Promise<PullRequestStackEntry | null>;
+export declare function getPullRequestStack(git: AuthenticatedGitClient, prNumber: number): Promise<PullRequestStackEntry[]>;
@@ -1,3 +1,3 @@
 import { ReleaseConfig } from '../../../release/config/index.js';
 import { ReleaseRepoWithApi } from '../../../release/versioning/index.js';
-export declare function assertActiveLtsBranch(repo: ReleaseRepoWithApi, releaseConfig: ReleaseConfig, branchName: string): Promise<void>;
+export declare function assertActiveLtsBranch(repo: ReleaseRepoWithApi, releaseConfig: ReleaseConfig, branchName: string, confirmForceMerge?: () => Promise<boolean>): Promise<void>;
@@ -2,7 +2,10 @@ import { Commit } from '../../../commit-message/parse.js';
 import { ActiveReleaseTrains } from '../../../release/versioning/active-release-trains.js';
 import { PullRequestConfig } from '../../config/index.js';
 import { TargetLabel } from '../labels/target.js';
+import { LabelRegistry } from '../labels/index.js';
 export declare const changesAllowForTargetLabelValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, commits: Commit[], targetLabel: TargetLabel, config: PullRequestConfig, releaseTrains: ActiveReleaseTrains, labelsOnPullRequest: string[], pullRequest: {
         url: string;
         isDraft: boolean;
@@ -103,5 +106,5 @@ export declare const changesAllowForTargetLabelValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, labelRegistry: LabelRegistry): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
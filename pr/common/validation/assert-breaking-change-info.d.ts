@@ -1,4 +1,7 @@
 import { Commit } from '../../../commit-message/parse.js';
+import { LabelRegistry } from '../labels/index.js';
 export declare const breakingChangeInfoValidation: {
-    run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, commits: Commit[], labels: string[]): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
+    run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, commits: Commit[], labels: string[], labelRegistry: LabelRegistry): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
@@ -1,4 +1,6 @@
 export declare const completedReviewsValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: {
         url: string;
         isDraft: boolean;
@@ -99,5 +101,5 @@ export declare const completedReviewsValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, awaitReviews: boolean): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
@@ -1,6 +1,9 @@
 import { PullRequestCommentsFromGithub } from '../fetch-pull-request.js';
 import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
+import { LabelRegistry } from '../labels/index.js';
 export declare const enforceTestedValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: {
         url: string;
         isDraft: boolean;
@@ -101,7 +104,7 @@ export declare const enforceTestedValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }, gitClient: AuthenticatedGitClient): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, gitClient: AuthenticatedGitClient, labelRegistry: LabelRegistry): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
 export declare class PullRequestComments {
     private git;
@@ -1,5 +1,7 @@
 import { PullRequestConfig } from '../../config/index.js';
 export declare const enforcedStatusesValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: {
         url: string;
         isDraft: boolean;
@@ -100,5 +102,5 @@ export declare const enforcedStatusesValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }, config: PullRequestConfig): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, config: PullRequestConfig, targetBranches: string[]): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
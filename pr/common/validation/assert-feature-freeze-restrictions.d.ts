@@ -0,0 +1,9 @@
+import { ActiveReleaseTrains } from '../../../release/versioning/active-release-trains.js';
+import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
+import { PullRequestConfig } from '../../config/index.js';
+import { PullRequestFromGithub } from '../fetch-pull-request.js';
+export declare const featureFreezeRestrictionsValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
+    run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, targetBranches: string[], releaseTrains: ActiveReleaseTrains, config: PullRequestConfig, pullRequest: PullRequestFromGithub, gitClient: AuthenticatedGitClient): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+};
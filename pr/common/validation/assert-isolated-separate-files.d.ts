@@ -1,6 +1,8 @@
 import { GithubConfig, GoogleSyncConfig, NgDevConfig } from '../../../utils/config.js';
 import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
 export declare const isolatedSeparateFilesValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, config: NgDevConfig<{
         github: GithubConfig;
     }>, prNumber: number, gitClient: AuthenticatedGitClient): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
@@ -1,4 +1,7 @@
+import { LabelRegistry } from '../labels/index.js';
 export declare const mergeReadyValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: {
         url: string;
         isDraft: boolean;
@@ -99,5 +102,5 @@ export declare const mergeReadyValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, labelRegistry: LabelRegistry): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
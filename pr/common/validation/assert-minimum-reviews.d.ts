@@ -1,4 +1,8 @@
+import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
+import { MinimumReviewRule } from '../../config/index.js';
 export declare const minimumReviewsValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: {
         url: string;
         isDraft: boolean;
@@ -99,5 +103,5 @@ export declare const minimumReviewsValidation: {
                 state: import("@octokit/graphql-schema").IssueState;
             }[];
         };
-    }): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+    }, gitClient: AuthenticatedGitClient, rules: MinimumReviewRule[], awaitReviews: boolean): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
 };
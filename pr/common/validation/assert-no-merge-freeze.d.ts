@@ -0,0 +1,6 @@
+import { FreezeWindow } from '../../config/index.js';
+export declare const noMergeFreezeValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
+    run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, labels: string[], targetBranches: string[], freezeWindows: FreezeWindow[]): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+};
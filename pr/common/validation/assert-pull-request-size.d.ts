@@ -0,0 +1,9 @@
+import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
+import { PullRequestSizeLimitsConfig } from '../../config/index.js';
+import { PullRequestFromGithub } from '../fetch-pull-request.js';
+import { TargetLabel } from '../labels/target.js';
+export declare const pullRequestSizeValidation: {
+    name: keyof import("../../config/index.js").PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
+    run(validationConfig: import("../../config/index.js").PullRequestValidationConfig, pullRequest: PullRequestFromGithub, labels: string[], targetLabel: TargetLabel, sizeLimits: PullRequestSizeLimitsConfig, gitClient: AuthenticatedGitClient): Promise<import("./validation-failure.js").PullRequestValidationFailure | null>;
+};
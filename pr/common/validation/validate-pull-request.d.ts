@@ -5,7 +5,16 @@ import { PullRequestFromGithub } from '../fetch-pull-request.js';
 import { PullRequestTarget } from '../targeting/target-label.js';
 import { PullRequestValidationFailure } from './validation-failure.js';
 import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
+export type PullRequestValidationStatus = 'passed' | 'failed' | 'skipped';
+export interface PullRequestValidationResult {
+    name: keyof PullRequestValidationConfig;
+    status: PullRequestValidationStatus;
+    failures: PullRequestValidationFailure[];
+}
+export declare function getPullRequestValidationResults(failures: PullRequestValidationFailure[], validationConfig: PullRequestValidationConfig, ngDevConfig: NgDevConfig<{
+    pullRequest: PullRequestConfig;
+}>, activeReleaseTrains: ActiveReleaseTrains | null): PullRequestValidationResult[];
 export declare function assertValidPullRequest(originalPullRequest: PullRequestFromGithub, validationConfig: PullRequestValidationConfig, ngDevConfig: NgDevConfig<{
     pullRequest: PullRequestConfig;
     github: GithubConfig;
-}>, activeReleaseTrains: ActiveReleaseTrains | null, target: PullRequestTarget, gitClient: AuthenticatedGitClient): Promise<PullRequestValidationFailure[]>;
+}>, activeReleaseTrains: ActiveReleaseTrains | null, target: PullRequestTarget, gitClient: AuthenticatedGitClient, fetchPullRequest?: () => Promise<PullRequestFromGithub | null>): Promise<PullRequestValidationFailure[]>;
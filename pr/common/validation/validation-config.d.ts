@@ -1,7 +1,7 @@
 import { PullRequestValidationConfig } from '../../config/index.js';
 import { PullRequestValidationFailure } from './validation-failure.js';
 export declare function createPullRequestValidationConfig(config: PullRequestValidationConfig): PullRequestValidationConfig;
-export type PullRequestValidationErrorCreateFn = (message: string, isFinal?: boolean) => PullRequestValidationFailure;
+export type PullRequestValidationErrorCreateFn = (message: string, isFinal?: boolean, canBeForceIgnored?: boolean) => PullRequestValidationFailure;
 export declare abstract class PullRequestValidation {
     protected name: keyof PullRequestValidationConfig;
     protected _createError: PullRequestValidationErrorCreateFn;
@@ -12,5 +12,7 @@ export declare function createPullRequestValidation<T extends PullRequestValidat
     name: keyof PullRequestValidationConfig;
     canBeForceIgnored: boolean;
 }, getValidationCtor: () => new (...args: ConstructorParameters<typeof PullRequestValidation>) => T): {
+    name: keyof PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
     run(validationConfig: PullRequestValidationConfig, ...args: Parameters<T["assert"]>): Promise<PullRequestValidationFailure | null>;
 };
@@ -1,4 +1,12 @@
 import { GithubConfig, NgDevConfig } from '../../utils/config.js';
+import { AuthenticatedGitClient } from '../../utils/git/authenticated-git-client.js';
+import { MergeStrategy } from '../merge/strategies/strategy.js';
+import { Commit } from '../../commit-message/parse.js';
+import { PullRequestFromGithub } from '../common/fetch-pull-request.js';
+import { PullRequestTarget, TargetLabelConfig } from '../common/targeting/target-label.js';
+import { PullRequestValidationFailure } from '../common/validation/validation-failure.js';
+import { PullRequest } from '../merge/pull-request.js';
+import { LabelParams } from '../common/labels/base.js';
 export type GithubApiMergeMethod = 'merge' | 'squash' | 'rebase' | 'auto';
 export interface GithubApiMergeStrategyConfig {
     default: GithubApiMergeMethod;
@@ -6,19 +14,34 @@ export interface GithubApiMergeStrategyConfig {
         pattern: string;
         method: GithubApiMergeMethod;
     }[];
+    squashMessageFromDescription?: boolean;
 }
+export interface RequiredStatus {
+    type: 'check' | 'status';
+    name: string | RegExp;
+}
+export type BuiltInMergeStrategy = 'rebase-fast-forward';
 export interface PullRequestConfig {
     remote?: GithubConfig;
     requiredBaseCommits?: {
         [branchName: string]: string;
     };
-    requiredStatuses?: {
-        type: 'check' | 'status';
-        name: string;
-    }[];
-    githubApiMerge: false | GithubApiMergeStrategyConfig;
+    requiredStatuses?: RequiredStatus[] | {
+        [targetBranchPattern: string]: RequiredStatus[];
+    };
+    githubApiMerge?: false | GithubApiMergeStrategyConfig;
+    mergeStrategy?: BuiltInMergeStrategy | (new (git: AuthenticatedGitClient) => MergeStrategy);
     targetLabelExemptScopes?: string[];
     validators?: PullRequestValidationConfig;
+    customValidations?: CustomPullRequestValidation[];
+    mergeCommitTrailers?: string[];
+    parallelCherryPicks?: boolean;
+    postMerge?: PostMergeConfig;
+    freezeWindows?: FreezeWindow[];
+    featureFreezeRestrictedPaths?: string[];
+    sizeLimits?: PullRequestSizeLimitsConfig;
+    labels?: LabelsConfig;
+    targetLabels?: TargetLabelConfig[];
     __noTargetLabeling?: boolean;
 }
 export declare function assertValidPullRequestConfig<T extends NgDevConfig>(config: T & Partial<{
@@ -26,7 +49,58 @@ export declare function assertValidPullRequestConfig<T extends NgDevConfig>(conf
 }>): asserts config is T & {
     pullRequest: PullRequestConfig;
 };
+export interface LabelsConfig {
+    additional?: {
+        [key: string]: LabelParams;
+    };
+    disabled?: string[];
+}
+export interface PullRequestSizeLimits {
+    maxFiles?: number;
+    maxLines?: number;
+    maxCommits?: number;
+}
+export interface PullRequestSizeLimitsConfig extends PullRequestSizeLimits {
+    excludedPaths?: string[];
+    overrideLabel?: string;
+    targetLabels?: {
+        [targetLabelName: string]: PullRequestSizeLimits;
+    };
+}
+export interface FreezeWindow {
+    name: string;
+    branches: string[];
+    start: string;
+    end: string;
+    overrideLabel?: string;
+    canBeForceIgnored?: boolean;
+}
+export interface PostMergeConfig {
+    removeLabels?: string[];
+    addLabels?: string[];
+    comment?: string;
+    dispatchWorkflow?: {
+        workflow: string;
+        ref?: string;
+        inputs?: Record<string, string>;
+    };
+    run?: (pullRequest: PullRequest, targetBranchShas: Record<string, string>) => Promise<void>;
+}
+export interface CustomPullRequestValidation {
+    name: keyof PullRequestValidationConfig;
+    canBeForceIgnored: boolean;
+    run(validationConfig: PullRequestValidationConfig, pullRequest: PullRequestFromGithub, commits: Commit[], target: PullRequestTarget, git: AuthenticatedGitClient): Promise<PullRequestValidationFailure | null>;
+}
+export interface MinimumReviewRule {
+    name?: string;
+    files?: string[];
+    labels?: string[];
+    minimum?: number;
+    reviewers?: string[];
+}
 export interface PullRequestValidationConfig {
     [key: `assert${string}`]: boolean;
     waitIfPending?: boolean;
+    awaitReviews?: boolean;
+    minimumReviewRules?: MinimumReviewRule[];
 }
@@ -0,0 +1,5 @@
+import { CommandModule } from 'yargs';
+import { MergeHistoryFilters } from './history.js';
+export interface HistoryCommandOptions extends MergeHistoryFilters {
+}
+export declare const HistoryCommandModule: CommandModule<{}, HistoryCommandOptions>;
@@ -0,0 +1,9 @@
+export interface MergeHistoryFilters {
+    since?: string;
+    until?: string;
+    user?: string;
+    branch?: string;
+    ignoredValidation?: string;
+    json: boolean;
+}
+export declare function printMergeHistory({ since, until, user, branch, ignoredValidation, json }: MergeHistoryFilters): Promise<void>;
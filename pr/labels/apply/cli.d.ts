@@ -0,0 +1,7 @@
+import { CommandModule } from 'yargs';
+export interface LabelsApplyCommandOptions {
+    pr?: number;
+    allPending: boolean;
+    dryRun: boolean;
+}
+export declare const LabelsApplyCommandModule: CommandModule<{}, LabelsApplyCommandOptions>;
@@ -0,0 +1,15 @@
+import { PullRequestFromGithub } from '../../common/fetch-pull-request.js';
+import { Label } from '../../common/labels/base.js';
+import { Commit } from '../../../commit-message/parse.js';
+export interface ApplyLabelsOptions {
+    prNumber?: number;
+    allPending: boolean;
+    dryRun: boolean;
+}
+export declare function applyManagedLabels({ prNumber, allPending, dryRun }: ApplyLabelsOptions): Promise<number>;
+export declare function getManagedLabelChanges(pr: PullRequestFromGithub, managedLabels: (Label & {
+    commitCheck: (c: Commit) => boolean;
+})[]): {
+    add: string[];
+    remove: string[];
+};
@@ -0,0 +1,2 @@
+import { CommandModule } from 'yargs';
+export declare const LabelsCommandModule: CommandModule<{}, {}>;
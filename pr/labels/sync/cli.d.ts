@@ -0,0 +1,5 @@
+import { CommandModule } from 'yargs';
+import { LabelSyncOptions } from './index.js';
+export interface LabelsSyncCommandOptions extends LabelSyncOptions {
+}
+export declare const LabelsSyncCommandModule: CommandModule<{}, LabelsSyncCommandOptions>;
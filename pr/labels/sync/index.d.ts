@@ -0,0 +1,31 @@
+import { GithubConfig } from '../../../utils/config.js';
+import { Label } from '../../common/labels/base.js';
+import { PullRequestConfig } from '../../config/index.js';
+export interface LabelSyncOptions {
+    dryRun: boolean;
+    deleteUnmanaged: boolean;
+}
+export interface ExistingLabel {
+    name: string;
+    description: string | null;
+    color: string;
+}
+export type LabelChange = {
+    action: 'create';
+    label: Label;
+    current?: undefined;
+} | {
+    action: 'update' | 'rename';
+    label: Label;
+    current: ExistingLabel;
+} | {
+    action: 'delete';
+    label?: undefined;
+    current: ExistingLabel;
+};
+export declare function syncLabels({ dryRun, deleteUnmanaged }: LabelSyncOptions): Promise<number>;
+export declare function getManagedLabelsForRepository(config: {
+    github: GithubConfig;
+    pullRequest?: PullRequestConfig;
+}): Label[];
+export declare function getLabelChanges(managedLabels: Label[], existingLabels: ExistingLabel[], deleteUnmanaged: boolean): LabelChange[];
@@ -1,10 +1,17 @@
 import { CommandModule } from 'yargs';
 export interface MergeCommandOptions {
-    pr: number;
+    pr: number[];
+    label?: string;
+    resume: boolean;
+    stack: boolean;
+    whenReady: boolean;
+    whenReadyTimeout: number;
     branchPrompt: boolean;
     forceManualBranches: boolean;
     dryRun: boolean;
     ignorePendingReviews: boolean;
     waitForValidations: boolean;
+    json: boolean;
+    overrideMergeMode: boolean;
 }
 export declare const MergeCommandModule: CommandModule<{}, MergeCommandOptions>;
@@ -0,0 +1,13 @@
+export declare const MERGE_COMMIT_TRAILERS_ENV_VAR = "NG_DEV_MERGE_COMMIT_TRAILERS";
+export interface MergeCommitTrailer {
+    value: string;
+    author?: string;
+}
+export interface MergeCommitTrailerContext {
+    prNumber: number;
+    prUrl: string;
+    targetLabel: string;
+    reviewers: string[];
+    coAuthors: string[];
+}
+export declare function expandMergeCommitTrailers(templates: string[], { prNumber, prUrl, targetLabel, reviewers, coAuthors }: MergeCommitTrailerContext): MergeCommitTrailer[];
@@ -17,6 +17,12 @@ export declare class MergeConflictsFatalError extends FatalMergeToolError {
 export declare class PullRequestValidationError extends FatalMergeToolError {
     constructor();
 }
+export declare class StaleMergeJournalFatalError extends FatalMergeToolError {
+    constructor(reason: string);
+}
 export declare class MismatchedPullRequestHeadShaFatalError extends FatalMergeToolError {
     constructor(expectedSha: string, actualSha: string);
 }
+export declare class NonInteractiveMergeToolError extends FatalMergeToolError {
+    constructor(reason: string);
+}
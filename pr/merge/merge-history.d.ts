@@ -0,0 +1,20 @@
+import { GitClient } from '../../utils/git/git-client.js';
+export interface MergeHistoryRecord {
+    prNumber: number;
+    title: string;
+    targetBranches: string[];
+    shas: {
+        [branchName: string]: string;
+    };
+    ignoredValidations: string[];
+    mergedBy: string;
+    mergedAt: string;
+}
+export declare class MergeHistory {
+    private filePath;
+    constructor(filePath: string);
+    append(record: MergeHistoryRecord): void;
+    getRecords(): MergeHistoryRecord[];
+    static open(git: GitClient): MergeHistory;
+    static getFilePath(git: GitClient): string;
+}
@@ -0,0 +1,54 @@
+import { GitClient } from '../../utils/git/git-client.js';
+import { PullRequest } from './pull-request.js';
+export type MergeJournalBranchEntry = {
+    status: 'pending';
+} | {
+    baseSha: string;
+    headSha: string;
+    status: 'picked' | 'pushing';
+};
+export interface MergeJournalPushedBranch {
+    baseSha: string;
+    headSha: string;
+}
+export interface MergeJournalData {
+    prNumber: number;
+    headSha: string;
+    targetBranches: string[];
+    startedAt: string;
+    sourceRange: string | null;
+    branches: {
+        [branchName: string]: MergeJournalBranchEntry;
+    };
+    pushedBranches: {
+        [branchName: string]: MergeJournalPushedBranch;
+    };
+}
+export declare class MergeJournal {
+    private filePath;
+    private data;
+    constructor(filePath: string, data: MergeJournalData);
+    get prNumber(): number;
+    get headSha(): string;
+    get targetBranches(): string[];
+    get sourceRange(): string | null;
+    get branches(): {
+        [branchName: string]: MergeJournalBranchEntry;
+    };
+    get pushedBranches(): {
+        [branchName: string]: MergeJournalPushedBranch;
+    };
+    recordSourceRange(sourceRange: string): void;
+    recordCherryPick(branchName: string, baseSha: string, headSha: string): void;
+    recordPushAttempt(branchNames: string[]): void;
+    recordPushed(branchNames: string[]): void;
+    getPushedBranches(): string[];
+    getUnpushedBranches(): string[];
+    isPartiallyPushed(): boolean;
+    save(): void;
+    delete(): void;
+    private _setStatus;
+    static start(git: GitClient, { prNumber, headSha, targetBranches }: PullRequest): MergeJournal;
+    static load(git: GitClient): MergeJournal | null;
+    static getFilePath(git: GitClient): string;
+}
@@ -1,3 +1,6 @@
 import { PullRequestMergeFlags } from './merge-tool.js';
 export declare function mergePullRequest(prNumber: number, flags: PullRequestMergeFlags): Promise<void>;
+export declare function mergePullRequestQueue(prNumbers: number[], label: string | undefined, flags: PullRequestMergeFlags): Promise<void>;
+export declare function mergePullRequestsWhenReady(prNumbers: number[], label: string | undefined, flags: PullRequestMergeFlags, timeoutMinutes: number): Promise<void>;
+export declare function resumePullRequestMerge(flags: PullRequestMergeFlags): Promise<void>;
 export declare function parsePrNumber(prUrlOrNumber: string): number;
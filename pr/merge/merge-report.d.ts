@@ -0,0 +1,54 @@
+import { PullRequest } from './pull-request.js';
+import { MergeStrategy } from './strategies/strategy.js';
+import { PullRequestValidationConfig } from '../config/index.js';
+export declare enum MergeExitCode {
+    SUCCESS = 0,
+    ERROR = 1,
+    VALIDATION_FAILURE = 2,
+    MERGE_CONFLICTS = 3,
+    USER_ABORTED = 4
+}
+export interface MergeReportValidationFailure {
+    validationName: keyof PullRequestValidationConfig;
+    message: string;
+    canBeForceIgnored: boolean;
+    isFinal: boolean;
+}
+export declare class MergeReport {
+    readonly prNumber: number;
+    readonly dryRun: boolean;
+    outcome: string | null;
+    message: string | null;
+    exitCode: MergeExitCode;
+    validationFailures: MergeReportValidationFailure[];
+    targetLabel: string | null;
+    targetBranches: string[];
+    strategy: string | null;
+    commits: {
+        [branchName: string]: string;
+    };
+    closedIssues: number[];
+    constructor(prNumber: number, dryRun: boolean);
+    recordPullRequest({ validationFailures, targetLabel, targetBranches }: PullRequest): void;
+    recordStrategy(strategy: MergeStrategy): void;
+    recordMerge(strategy: MergeStrategy, { targetBranches }: PullRequest): void;
+    recordSuccess(): void;
+    recordError(e: unknown): void;
+    isCompleted(): boolean;
+    toJSON(): {
+        prNumber: number;
+        dryRun: boolean;
+        outcome: string | null;
+        message: string | null;
+        exitCode: MergeExitCode;
+        validationFailures: MergeReportValidationFailure[];
+        targetLabel: string | null;
+        targetBranches: string[];
+        strategy: string | null;
+        commits: {
+            [branchName: string]: string;
+        };
+        closedIssues: number[];
+    };
+}
+export declare function getMergeExitCodeForError(e: unknown): MergeExitCode;
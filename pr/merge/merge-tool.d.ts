@@ -1,12 +1,35 @@
 import { AuthenticatedGitClient } from '../../utils/git/authenticated-git-client.js';
 import { PullRequestConfig, PullRequestValidationConfig } from '../config/index.js';
 import { GithubConfig, NgDevConfig } from '../../utils/config.js';
+import { PullRequest } from './pull-request.js';
+import { MergeStrategy } from './strategies/strategy.js';
+import { MergeReport } from './merge-report.js';
+import { PullRequestStackEntry } from '../common/stacked-pull-requests.js';
+import { Prompt } from '../../utils/prompt.js';
 export interface PullRequestMergeFlags {
     branchPrompt: boolean;
     forceManualBranches: boolean;
     dryRun: boolean;
     ignorePendingReviews: boolean;
     waitForValidations: boolean;
+    json: boolean;
+    stack: boolean;
+    overrideMergeMode: boolean;
+    interactive: boolean;
+}
+export interface MergeQueueMergedEntry {
+    prNumber: number;
+    title: string;
+    targetBranches: string[];
+}
+export interface MergeQueueFailedEntry {
+    prNumber: number;
+    reason: string;
+}
+export interface MergeQueueResult {
+    merged: MergeQueueMergedEntry[];
+    skipped: MergeQueueFailedEntry[];
+    failed: MergeQueueFailedEntry[];
 }
 export declare class MergeTool {
     config: NgDevConfig<{
@@ -14,12 +37,34 @@ export declare class MergeTool {
         github: GithubConfig;
     }>;
     git: AuthenticatedGitClient;
+    reports: MergeReport[];
     private flags;
     constructor(config: NgDevConfig<{
         pullRequest: PullRequestConfig;
         github: GithubConfig;
     }>, git: AuthenticatedGitClient, flags: Partial<PullRequestMergeFlags>);
-    merge(prNumber: number, partialValidationConfig: PullRequestValidationConfig): Promise<void>;
+    merge(prNumber: number, partialValidationConfig: PullRequestValidationConfig, stackBaseRefName?: string | null): Promise<void>;
+    private performMerge;
+    mergeStack(stack: PullRequestStackEntry[], partialValidationConfig: PullRequestValidationConfig): Promise<void>;
+    mergeQueue(prNumbers: number[], partialValidationConfig: PullRequestValidationConfig): Promise<MergeQueueResult>;
+    private performMergeQueue;
+    mergeWhenReady(prNumbers: number[], partialValidationConfig: PullRequestValidationConfig, timeoutMs: number): Promise<MergeQueueResult>;
+    private mergeReadyPullRequest;
+    recordFailedPullRequests(prNumbers: number[], error: unknown): void;
+    private recordUnmergedPullRequest;
+    resume(): Promise<void>;
+    private mergeWithJournal;
+    private recordMergeHistory;
+    private runPostMergeActions;
+    private assertNoInterruptedMerge;
+    private createValidationConfig;
+    protected createMergeStrategy(): MergeStrategy;
+    private createConfiguredMergeStrategy;
+    private assertLocalRepositoryCanMerge;
+    protected loadPullRequestForMerge(prNumber: number, validationConfig: PullRequestValidationConfig, report?: MergeReport, stackBaseRefName?: string | null): Promise<PullRequest>;
     private updatePullRequestTargetedBranchesFromPrompt;
+    confirm(config: Parameters<typeof Prompt.confirm>[0], nonInteractiveReason: string): Promise<boolean>;
+    private assertInteractive;
     confirmMergeAccess(): Promise<void>;
+    private assertMergeModeAllowsMerge;
 }
@@ -1,4 +1,10 @@
 import { PullRequest } from './pull-request.js';
+import { MergeQueueResult } from './merge-tool.js';
+import { MergeJournal } from './merge-journal.js';
 export declare function getCaretakerNotePromptMessage(pullRequest: PullRequest): string;
 export declare function getTargetedBranchesConfirmationPromptMessage(): string;
 export declare function getTargetedBranchesMessage(pullRequest: PullRequest): string;
+export declare function getMergeQueueConfirmationPromptMessage(pullRequests: PullRequest[]): string;
+export declare function getMergeQueueSummaryMessage({ merged, skipped, failed }: MergeQueueResult, dryRun?: boolean): string;
+export declare function getMergeJournalMessage(journal: MergeJournal): string;
+export declare function getMergeJournalRevertMessage(journal: MergeJournal): string;
@@ -0,0 +1,4 @@
+import { AuthenticatedGitClient } from '../../utils/git/authenticated-git-client.js';
+import { PostMergeConfig } from '../config/index.js';
+import { PullRequest } from './pull-request.js';
+export declare function runPostMergeActions(git: AuthenticatedGitClient, postMergeConfig: PostMergeConfig, pullRequest: PullRequest, targetBranchShas: [string, string][]): Promise<void>;
@@ -3,6 +3,9 @@ import { PullRequestValidationFailure } from '../common/validation/validation-fa
 import { AuthenticatedGitClient } from '../../utils/git/authenticated-git-client.js';
 import { GithubConfig, NgDevConfig } from '../../utils/config.js';
 import { PullRequestConfig, PullRequestValidationConfig } from '../config/index.js';
+import { PullRequestFromGithub } from '../common/fetch-pull-request.js';
+import { PullRequestTarget } from '../common/targeting/target-label.js';
+import { ActiveReleaseTrains } from '../../release/versioning/active-release-trains.js';
 export interface PullRequestClosingIssuesReferences {
     number: number;
     state: IssueState;
@@ -13,6 +16,8 @@ export interface PullRequest {
     title: string;
     labels: string[];
     targetBranches: string[];
+    targetLabel: string;
+    approvers: string[];
     githubTargetBranch: string;
     commitCount: number;
     requiredBaseSha?: string;
@@ -23,6 +28,7 @@ export interface PullRequest {
     validationFailures: PullRequestValidationFailure[];
     headSha: string;
     closingIssuesReferences: PullRequestClosingIssuesReferences[];
+    stackParentBranch: string | null;
 }
 export declare function loadAndValidatePullRequest({ git, config, }: {
     git: AuthenticatedGitClient;
@@ -30,4 +36,14 @@ export declare function loadAndValidatePullRequest({ git, config, }: {
         pullRequest: PullRequestConfig;
         github: GithubConfig;
     }>;
-}, prNumber: number, validationConfig: PullRequestValidationConfig): Promise<PullRequest>;
+}, prNumber: number, validationConfig: PullRequestValidationConfig, stackBaseRefName?: string | null): Promise<PullRequest>;
+export declare function resolveTargetForPullRequest({ git, config, }: {
+    git: AuthenticatedGitClient;
+    config: NgDevConfig<{
+        pullRequest: PullRequestConfig;
+        github: GithubConfig;
+    }>;
+}, prData: PullRequestFromGithub): Promise<{
+    activeReleaseTrains: ActiveReleaseTrains | null;
+    target: PullRequestTarget;
+}>;
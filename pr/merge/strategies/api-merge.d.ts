@@ -12,7 +12,10 @@ export declare class GithubApiMergeStrategy extends AutosquashMergeStrategy {
     constructor(git: AuthenticatedGitClient, config: GithubApiMergeStrategyConfig);
     merge(pullRequest: PullRequest): Promise<void>;
     private _promptCommitMessageEdit;
+    private setSquashCommitMessage;
     private getDefaultSquashCommitMessage;
+    private appendMergeCommitTrailers;
+    private getSquashCommitMessageFromDescription;
     private getMergeActionFromPullRequest;
     private getCommitsInfo;
     private commits;
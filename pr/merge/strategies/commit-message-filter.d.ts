@@ -1,3 +1,4 @@
 #!/usr/bin/env node
 declare function main(): void;
 declare function rewriteCommitMessage(message: string, prNumber: string): string;
+declare function getCommitMessageTrailers(prNumber: string): string[];
@@ -0,0 +1,6 @@
+import { PullRequest } from '../pull-request.js';
+import { MergeStrategy } from './strategy.js';
+export declare class RebaseFastForwardMergeStrategy extends MergeStrategy {
+    check(pullRequest: PullRequest): Promise<void>;
+    merge(pullRequest: PullRequest): Promise<void>;
+}
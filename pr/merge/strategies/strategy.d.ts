@@ -1,21 +1,44 @@
 import { AuthenticatedGitClient } from '../../../utils/git/authenticated-git-client.js';
 import { PullRequest } from '../pull-request.js';
+import { MergeJournal } from '../merge-journal.js';
+import { MergeCommitTrailer } from '../commit-message-trailers.js';
 export declare const TEMP_PR_HEAD_BRANCH = "merge_pr_head";
 export declare abstract class MergeStrategy {
     protected git: AuthenticatedGitClient;
+    journal: MergeJournal | null;
+    closedIssues: number[];
+    mergeCommitTrailers: string[] | null;
+    parallelCherryPicks: boolean;
+    interactive: boolean;
     constructor(git: AuthenticatedGitClient);
     prepare(pullRequest: PullRequest): Promise<void>;
+    protected rebaseOntoTargetBranch(pullRequest: PullRequest): Promise<void>;
     abstract merge(pullRequest: PullRequest): Promise<void>;
     check(pullRequest: PullRequest): Promise<void>;
     cleanup(pullRequest: PullRequest): Promise<void>;
+    cleanupTargetBranches(names: string[]): void;
     protected getLocalTargetBranchName(targetBranch: string): string;
+    protected runInWorktree<T>(branchName: string, callback: (worktreePath: string) => T | Promise<T>): Promise<T>;
+    protected runInWorktreeSync<T>(branchName: string, callback: (worktreePath: string) => T): T;
     protected cherryPickIntoTargetBranches(revisionRange: string, targetBranches: string[], options?: {
         dryRun?: boolean;
         linkToOriginalCommits?: boolean;
     }): string[];
+    protected cherryPickIntoTargetBranchesInWorktrees(revisionRange: string, targetBranches: string[], options?: {
+        dryRun?: boolean;
+        linkToOriginalCommits?: boolean;
+    }): Promise<string[]>;
+    private getCherryPickArgs;
+    private recordCherryPickSourceRange;
     protected fetchTargetBranches(names: string[], ...extraRefspecs: string[]): void;
     protected pushTargetBranchesUpstream(names: string[]): void;
+    resumeFromJournal(journal: MergeJournal): Promise<string[]>;
+    private _assertTargetBranchesExist;
+    private _assertCommitExists;
     protected _assertMergeableOrThrow({ revisionRange }: PullRequest, targetBranches: string[]): Promise<void>;
+    protected getMergeCommitTrailers({ prNumber, url, targetLabel, approvers, revisionRange, }: PullRequest): MergeCommitTrailer[] | null;
+    protected getCommitMessageFilterEnv(pullRequest: PullRequest): NodeJS.ProcessEnv | undefined;
+    getLocalTargetBranchShas(targetBranches: string[]): [string, string][];
     protected createMergeComment(pullRequest: PullRequest, targetBranches: string[]): Promise<void>;
     protected closeLinkedIssues({ closingIssuesReferences, githubTargetBranch, }: PullRequest): Promise<void>;
 }
@@ -0,0 +1,5 @@
+import { CommandModule } from 'yargs';
+export interface ValidateCommandOptions {
+    pr: number;
+}
+export declare const ValidateCommandModule: CommandModule<{}, ValidateCommandOptions>;
@@ -0,0 +1 @@
+export declare function validatePullRequest(prNumber: number): Promise<boolean>;
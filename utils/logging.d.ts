@@ -21,4 +21,5 @@ export declare abstract class Log {
     static log: (...values: unknown[]) => void;
     static warn: (...values: unknown[]) => void;
 }
+export declare function redirectLogOutputToStderr(): void;
 export declare function captureLogOutputForCommand(argv: Arguments): Promise<void>;